@@ -0,0 +1,107 @@
+// -------------------------------------------------------------
+// Contact form endpoint (serverless function template)
+// - A Fetch API handler: `export default (request) => Response`, the shape
+//   Vercel, Netlify (functions v2) and Cloudflare Workers all accept.
+//   Deploy it there and set VITE_CONTACT_URL to its URL.
+// - Accepts the JSON ContactTile posts ({ name, email, message, website })
+//   and repeats the client's field checks and the honeypot, plus a per-IP
+//   rate limit (in memory, so per instance; good enough to blunt a burst).
+//   The minimum fill time is only checked in the browser: the server has
+//   no trustworthy start time to measure it from.
+// - The client IP comes from `clientIp(request)`. Only a header the platform
+//   sets itself can be trusted (clients can send any other, x-forwarded-for
+//   included): CONTACT_IP_HEADER picks it, default cf-connecting-ip
+//   (Cloudflare); x-nf-client-connection-ip on Netlify, x-real-ip on Vercel.
+// - Delivery is pluggable: handleContact(request, { deliver }). The default
+//   forwards the message as JSON to CONTACT_FORWARD_URL (a Slack/Discord
+//   incoming webhook, Zapier, an email API...).
+// - scripts/contactServer.js runs the same handler locally for testing.
+// -------------------------------------------------------------
+
+const LIMITS = { name: 100, email: 254, message: 5000 };
+const RATE_LIMIT = { max: 5, windowMs: 60 * 60 * 1000 };
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const recent = new Map(); // client id -> send times
+
+// Resolver for a platform-set IP header; requests without it share one bucket
+export const headerIp = (name) => (request) => request.headers.get(name)?.trim() || "unknown";
+
+const json = (status, body, headers) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+function problem({ name, email, message }) {
+  if (typeof name !== "string" || !name.trim() || name.length > LIMITS.name) return "Please enter your name.";
+  if (typeof email !== "string" || email.length > LIMITS.email || !EMAIL_RE.test(email.trim())) return "That email doesn't look right.";
+  if (typeof message !== "string" || message.trim().length < 10 || message.length > LIMITS.message) return "Please check your message.";
+  return null;
+}
+
+// Drops clients whose sends have all left the window, so `recent` stays small
+function prune(now) {
+  for (const [client, times] of recent) {
+    const live = times.filter((t) => now - t < RATE_LIMIT.windowMs);
+    if (live.length) recent.set(client, live);
+    else recent.delete(client);
+  }
+}
+
+function limited(client, now) {
+  prune(now);
+  const times = recent.get(client) || [];
+  if (times.length >= RATE_LIMIT.max) return true;
+  recent.set(client, [...times, now]);
+  return false;
+}
+
+export async function handleContact(request, { deliver = forward, allowOrigin = "*", clientIp = headerIp("cf-connecting-ip"), now = Date.now() } = {}) {
+  const cors = { "Access-Control-Allow-Origin": allowOrigin };
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: { ...cors, "Access-Control-Allow-Methods": "POST, OPTIONS", "Access-Control-Allow-Headers": "Content-Type" } });
+  }
+  if (request.method !== "POST") return json(405, { error: "Method not allowed." }, { ...cors, Allow: "POST, OPTIONS" });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json(400, { error: "Expected a JSON body." }, cors);
+  }
+  // bots: answer as if it worked so they don't retry
+  if (body?.website) return json(200, { ok: true }, cors);
+  const error = problem(body);
+  if (error) return json(400, { error }, cors);
+  if (limited(clientIp(request), now)) return json(429, { error: "Too many messages — please try again later." }, cors);
+
+  const message = {
+    name: body.name.trim(),
+    email: body.email.trim(),
+    message: body.message.trim(),
+    receivedAt: new Date(now).toISOString(),
+  };
+  try {
+    await deliver(message);
+  } catch (e) {
+    console.error("contact: delivery failed", e);
+    return json(502, { error: "Your message couldn't be delivered — please try again later." }, cors);
+  }
+  return json(200, { ok: true }, cors);
+}
+
+async function forward(message) {
+  const url = process.env.CONTACT_FORWARD_URL;
+  if (!url) throw new Error("CONTACT_FORWARD_URL is not set");
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...message, text: `New message from ${message.name} <${message.email}>:\n\n${message.message}` }),
+  });
+  if (!res.ok) throw new Error(`forward: HTTP ${res.status}`);
+}
+
+export default function handler(request) {
+  return handleContact(request, {
+    allowOrigin: process.env.CONTACT_ALLOW_ORIGIN || "*",
+    clientIp: headerIp(process.env.CONTACT_IP_HEADER || "cf-connecting-ip"),
+  });
+}
@@ -0,0 +1,81 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+
+// -------------------------------------------------------------
+// Local analytics collector (`npm run analytics:collect`)
+// - Accepts events at http://localhost:8788/events (the beacon sink's dev
+//   default; PORT overrides) and at /api/event, so the plausible sink can
+//   be tested with VITE_PLAUSIBLE_URL=http://localhost:8788/api/event.
+// - Events are appended to EVENTS_FILE and logged; GET /events lists them
+//   with a count per event name.
+// - Bodies arrive as text/plain JSON (see post() in src/analytics.js).
+// -------------------------------------------------------------
+
+const PORT = Number(process.env.PORT) || 8788;
+const EVENTS_FILE = ".cache/analytics-events.jsonl";
+const MAX_BODY = 8 * 1024;
+const PATHS = ["/events", "/api/event"];
+
+const file = path.join(process.cwd(), EVENTS_FILE);
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function readEvents() {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+function record(event) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(event) + "\n");
+  console.log(`analytics: ${event.name} ${JSON.stringify(event.props ?? {})}`);
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS }).end(body === undefined ? undefined : JSON.stringify(body, null, 2));
+}
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  if (!PATHS.includes(pathname)) return reply(res, 404, { error: "Not found." });
+  if (req.method === "OPTIONS") return reply(res, 204);
+  if (req.method === "GET") {
+    const events = readEvents();
+    const counts = {};
+    for (const e of events) counts[e.name] = (counts[e.name] || 0) + 1;
+    return reply(res, 200, { counts, events });
+  }
+  if (req.method !== "POST") return reply(res, 405, { error: "Use POST." });
+
+  const text = await readBody(req);
+  if (text === null) return reply(res, 413, { error: "Event too large." });
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch {
+    return reply(res, 400, { error: "Body must be JSON." });
+  }
+  if (!event || typeof event.name !== "string" || !event.name) return reply(res, 400, { error: "Events need a name." });
+  record({ ...event, sink: pathname === "/api/event" ? "plausible" : "beacon", received: new Date().toISOString() });
+  reply(res, 202, { ok: true });
+});
+
+server.listen(PORT, () => {
+  console.log(`analytics: collector listening on http://localhost:${PORT}/events, recording to ${EVENTS_FILE}`);
+});
@@ -0,0 +1,64 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { handleContact } from "../functions/contact.js";
+
+// -------------------------------------------------------------
+// Local contact endpoint (`npm run contact:stub`)
+// - Serves functions/contact.js at http://localhost:8787/contact (PORT
+//   overrides), so the whole form flow works offline. `npm run dev` posts
+//   here unless VITE_CONTACT_URL says otherwise.
+// - Instead of forwarding, accepted messages are appended to MESSAGES_FILE
+//   and logged; GET /contact lists them.
+// -------------------------------------------------------------
+
+const PORT = Number(process.env.PORT) || 8787;
+const MESSAGES_FILE = ".cache/contact-messages.jsonl";
+
+const file = path.join(process.cwd(), MESSAGES_FILE);
+
+function readMessages() {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function record(message) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(message) + "\n");
+  console.log(`contact: ${message.name} <${message.email}>: ${message.message.split("\n")[0].slice(0, 60)}`);
+}
+
+// Node request -> Fetch API Request, and the Response back again
+async function toRequest(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const headers = new Headers(Object.entries(req.headers).map(([k, v]) => [k, String(v)]));
+  const hasBody = !["GET", "HEAD"].includes(req.method);
+  return new Request(`http://localhost:${PORT}${req.url}`, { method: req.method, headers, body: hasBody ? Buffer.concat(chunks) : undefined });
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  if (pathname !== "/contact") {
+    res.writeHead(404, { "Content-Type": "application/json" }).end(JSON.stringify({ error: "Not found." }));
+    return;
+  }
+  if (req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }).end(JSON.stringify(readMessages(), null, 2));
+    return;
+  }
+  try {
+    // the stub runs behind no proxy, so the socket address identifies the client
+    const clientIp = () => req.socket.remoteAddress || "local";
+    const response = await handleContact(await toRequest(req), { deliver: record, clientIp });
+    res.writeHead(response.status, Object.fromEntries(response.headers)).end(await response.text());
+  } catch (e) {
+    console.error("contact: stub failed", e);
+    if (!res.headersSent) res.writeHead(500, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    res.end(JSON.stringify({ error: "The contact stub hit an error." }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`contact: stub listening on http://localhost:${PORT}/contact, recording to ${MESSAGES_FILE}`);
+});
@@ -0,0 +1,187 @@
+import fs from "node:fs";
+import path from "node:path";
+import matter from "gray-matter";
+import { marked } from "marked";
+import { TILE_TYPE_NAMES } from "../src/tileTypes.js";
+
+// -------------------------------------------------------------
+// Markdown content pipeline (Vite plugin)
+// - Reads content/<collection>/*.md at build time.
+// - Frontmatter is validated against SCHEMA; a bad field fails the
+//   build with "<file>: field "<name>" ...".
+// - `draft: true` entries are served by the dev server only; set it per
+//   file to keep an unfinished entry out of a production build.
+// - Exposes `import content from "virtual:content"`:
+//   { projects: [...], articles: [...], experience: [...] } with the body
+//   rendered to HTML.
+// -------------------------------------------------------------
+
+const VIRTUAL_ID = "virtual:content";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+
+const GROUPS = ["About", "Projects", "Media", "Utility"];
+const isStr = (v) => typeof v === "string" && v.trim() !== "";
+const isStrList = (v) => Array.isArray(v) && v.every(isStr);
+const SERIES_TYPES = ["line", "bar", "area"];
+
+// { src: "file.json", title? } or an inline { nodes: [...], edges: [...], title? } (src/dag.js)
+const isDag = (d) =>
+  d !== null && typeof d === "object" &&
+  (isStr(d.src) ? /\.json$/i.test(d.src) : Array.isArray(d.nodes) && d.nodes.length > 0 && (d.edges == null || Array.isArray(d.edges))) &&
+  (d.title == null || isStr(d.title));
+
+// { x, series: [{ key, type }], data: [...] | src: "file.csv|json", title? }
+const isChart = (c) =>
+  c !== null && typeof c === "object" &&
+  isStr(c.x) &&
+  Array.isArray(c.series) && c.series.length > 0 &&
+  c.series.every((s) => isStr(s?.key) && (s.type == null || SERIES_TYPES.includes(s.type))) &&
+  (Array.isArray(c.data) ? c.data.length > 0 && c.src == null : isStr(c.src) && /\.(csv|json)$/i.test(c.src)) &&
+  (c.title == null || isStr(c.title));
+
+// field -> [required, check, message]
+const SCHEMA = {
+  title: [true, isStr, "must be a non-empty string"],
+  group: [true, (v) => GROUPS.includes(v), `must be one of ${GROUPS.join(", ")}`],
+  id: [false, (v) => isStr(v) && /^[A-Za-z][\w-]*$/.test(v), "must start with a letter and use only letters, digits, - or _"],
+  date: [false, (v) => v instanceof Date || /^\d{4}-\d{2}-\d{2}$/.test(String(v)), "must be a YYYY-MM-DD date"],
+  tile: [false, (v) => TILE_TYPE_NAMES.includes(v), `must be a tile type (one of ${TILE_TYPE_NAMES.join(", ")})`],
+  span: [false, (v) => isStr(v) && /^((sm|md|lg):)?(col-span-(full|\d+)|row-span-\d+)(\s+((sm|md|lg):)?(col-span-(full|\d+)|row-span-\d+))*$/.test(v), "must be Tailwind col-span/row-span classes"],
+  order: [false, Number.isFinite, "must be a number"],
+  skills: [false, isStrList, "must be a list of strings"],
+  domains: [false, isStrList, "must be a list of strings"],
+  years: [false, (v) => Array.isArray(v) && v.every((y) => Number.isInteger(y) && y >= 1900 && y <= 2100), "must be a list of years"],
+  label: [false, isStr, "must be a non-empty string"],
+  summary: [false, isStr, "must be a non-empty string"],
+  problem: [false, isStr, "must be a non-empty string"],
+  architecture: [false, isStrList, "must be a list of strings"],
+  metrics: [false, (v) => Array.isArray(v) && v.every((m) => isStr(m?.label) && m.value != null), "must be a list of { label, value }"],
+  chart: [false, isChart, `must be { x, series: [{ key, type: ${SERIES_TYPES.join("|")} }] } with inline \`data\` or a .csv/.json \`src\``],
+  dag: [false, isDag, "must be { src: \"<file>.json\" } (node/edge spec, Airflow tasks or dbt manifest) or inline { nodes, edges }"],
+  links: [false, (v) => Array.isArray(v) && v.every((l) => isStr(l?.label) && isStr(l?.href)), "must be a list of { label, href }"],
+  company: [false, isStr, "must be a non-empty string"],
+  location: [false, isStr, "must be a non-empty string"],
+  start: [false, (v) => /^\d{4}-\d{2}$/.test(String(v)), "must be a YYYY-MM month"],
+  end: [false, (v) => /^\d{4}-\d{2}$/.test(String(v)), "must be a YYYY-MM month (leave it out for a current role)"],
+  draft: [false, (v) => typeof v === "boolean", "must be true or false"],
+};
+
+// Extra fields a collection can't do without
+const REQUIRED_BY_COLLECTION = {
+  articles: ["date"],
+  experience: ["company", "start"],
+};
+
+export class ContentError extends Error {
+  constructor(file, field, message) {
+    super(`${file}: field "${field}" ${message}`);
+    this.name = "ContentError";
+    this.file = file;
+    this.field = field;
+  }
+}
+
+export function validateFrontmatter(data, file) {
+  for (const [field, [required, check, message]] of Object.entries(SCHEMA)) {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (required) throw new ContentError(file, field, "is required");
+      continue;
+    }
+    if (!check(value)) throw new ContentError(file, field, `${message} (got ${JSON.stringify(value)})`);
+  }
+  for (const field of Object.keys(data)) {
+    if (!(field in SCHEMA)) throw new ContentError(file, field, `is not a known field (expected one of ${Object.keys(SCHEMA).join(", ")})`);
+  }
+}
+
+function toIsoDate(v) {
+  if (v == null) return null;
+  return v instanceof Date ? v.toISOString().slice(0, 10) : String(v);
+}
+
+export function loadEntry(absFile, root, collection) {
+  const file = path.relative(root, absFile).split(path.sep).join("/");
+  const { data, content } = matter(fs.readFileSync(absFile, "utf8"));
+  validateFrontmatter(data, file);
+  for (const field of REQUIRED_BY_COLLECTION[collection] || []) {
+    if (data[field] == null) throw new ContentError(file, field, `is required for ${collection}`);
+  }
+  // data files are served from public/, so a typo would only show up in the browser
+  for (const field of ["chart", "dag"]) {
+    const src = data[field]?.src;
+    if (src && !/^https?:/.test(src) && !fs.existsSync(path.join(root, "public", src.replace(/^\//, "")))) {
+      throw new ContentError(file, field, `src "${src}" was not found in public/`);
+    }
+  }
+  const slug = path.basename(absFile, ".md");
+  return {
+    ...data,
+    id: data.id || slug,
+    slug,
+    date: toIsoDate(data.date),
+    skills: data.skills || [],
+    file,
+    html: marked.parse(content.trim()),
+  };
+}
+
+export function loadCollections(dir, root = process.cwd(), { drafts = false } = {}) {
+  const out = {};
+  if (!fs.existsSync(dir)) return out;
+  for (const collection of fs.readdirSync(dir).sort()) {
+    const cdir = path.join(dir, collection);
+    if (!fs.statSync(cdir).isDirectory()) continue;
+    const entries = fs.readdirSync(cdir)
+      .filter((f) => f.endsWith(".md"))
+      .sort()
+      .map((f) => loadEntry(path.join(cdir, f), root, collection))
+      .filter((e) => drafts || !e.draft);
+    const seen = new Set();
+    for (const e of entries) {
+      if (seen.has(e.id)) throw new ContentError(e.file, "id", `duplicates another entry in ${collection}/ ("${e.id}")`);
+      seen.add(e.id);
+    }
+    // explicit `order` first, then newest date, then file name
+    entries.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || String(b.date ?? "").localeCompare(String(a.date ?? "")) || a.slug.localeCompare(b.slug));
+    out[collection] = entries;
+  }
+  return out;
+}
+
+export default function contentPlugin({ dir = "content" } = {}) {
+  let root = process.cwd();
+  let contentDir = path.resolve(root, dir);
+  let drafts = false;
+  return {
+    name: "portfolio-content",
+    configResolved(config) {
+      root = config.root;
+      contentDir = path.resolve(root, dir);
+      drafts = config.command === "serve";
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+      const collections = loadCollections(contentDir, root, { drafts });
+      for (const entries of Object.values(collections)) {
+        for (const e of entries) this.addWatchFile(path.resolve(root, e.file));
+      }
+      return `export default ${JSON.stringify(collections)};`;
+    },
+    configureServer(server) {
+      server.watcher.add(contentDir);
+      const reload = (file) => {
+        if (!file.startsWith(contentDir)) return;
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: "full-reload" });
+      };
+      server.watcher.on("add", reload);
+      server.watcher.on("change", reload);
+      server.watcher.on("unlink", reload);
+    },
+  };
+}
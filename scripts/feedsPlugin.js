@@ -0,0 +1,97 @@
+import path from "node:path";
+import { loadCollections } from "./contentPlugin.js";
+import { SITE_NAME, AUTHOR, siteOrigin, absoluteUrl, articleRoute, escapeXml } from "./site.js";
+
+// -------------------------------------------------------------
+// Build-time feeds (Vite plugin, build only)
+// - Emits feed.xml (RSS 2.0) and atom.xml (Atom 1.0) into dist.
+// - buildSitemap() is used by scripts/prerender.js, which knows every route.
+// - Entries come from content/articles/*.md, newest first.
+// - Absolute URLs use the domain in public/CNAME.
+// -------------------------------------------------------------
+
+const cdata = (s) => `<![CDATA[${String(s ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+const toDate = (d) => new Date(`${d}T00:00:00Z`);
+
+export function buildRss({ origin, articles, now }) {
+  const items = articles.map((a) => {
+    const link = absoluteUrl(origin, articleRoute(a.slug));
+    return `    <item>
+      <title>${escapeXml(a.title)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="true">${escapeXml(link)}</guid>
+      <pubDate>${toDate(a.date).toUTCString()}</pubDate>
+${a.summary ? `      <description>${escapeXml(a.summary)}</description>\n` : ""}      <content:encoded>${cdata(a.html)}</content:encoded>
+${a.skills.map((s) => `      <category>${escapeXml(s)}</category>\n`).join("")}    </item>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(SITE_NAME)}</title>
+    <link>${escapeXml(absoluteUrl(origin, "/"))}</link>
+    <description>${escapeXml(`Articles by ${AUTHOR}`)}</description>
+    <language>en</language>
+    <lastBuildDate>${now.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(absoluteUrl(origin, "/feed.xml"))}" rel="self" type="application/rss+xml" />
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export function buildAtom({ origin, articles, now }) {
+  const updated = articles.length ? toDate(articles[0].date) : now;
+  const entries = articles.map((a) => {
+    const link = absoluteUrl(origin, articleRoute(a.slug));
+    return `  <entry>
+    <title>${escapeXml(a.title)}</title>
+    <link href="${escapeXml(link)}" />
+    <id>${escapeXml(link)}</id>
+    <updated>${toDate(a.date).toISOString()}</updated>
+${a.summary ? `    <summary>${escapeXml(a.summary)}</summary>\n` : ""}    <content type="html">${escapeXml(a.html)}</content>
+${a.skills.map((s) => `    <category term="${escapeXml(s)}" />\n`).join("")}  </entry>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(SITE_NAME)}</title>
+  <link href="${escapeXml(absoluteUrl(origin, "/"))}" />
+  <link href="${escapeXml(absoluteUrl(origin, "/atom.xml"))}" rel="self" />
+  <id>${escapeXml(absoluteUrl(origin, "/"))}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(AUTHOR)}</name></author>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+export function buildSitemap({ origin, routes }) {
+  const urls = routes.map((r) => `  <url>
+    <loc>${escapeXml(absoluteUrl(origin, r.route))}</loc>
+${r.lastmod ? `    <lastmod>${r.lastmod}</lastmod>\n` : ""}  </url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+export default function feedsPlugin({ dir = "content" } = {}) {
+  let root = process.cwd();
+  return {
+    name: "portfolio-feeds",
+    // client build only; the SSR build for prerendering needs no feeds
+    apply: (config, { command, isSsrBuild }) => command === "build" && !isSsrBuild,
+    configResolved(config) {
+      root = config.root;
+    },
+    generateBundle() {
+      const origin = siteOrigin(root);
+      const articles = (loadCollections(path.resolve(root, dir), root).articles || [])
+        .filter((a) => a.date)
+        .sort((a, b) => b.date.localeCompare(a.date));
+      const now = new Date();
+      this.emitFile({ type: "asset", fileName: "feed.xml", source: buildRss({ origin, articles, now }) });
+      this.emitFile({ type: "asset", fileName: "atom.xml", source: buildAtom({ origin, articles, now }) });
+    },
+  };
+}
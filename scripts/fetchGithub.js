@@ -0,0 +1,116 @@
+import fs from "node:fs";
+import path from "node:path";
+import { GITHUB_USER } from "./site.js";
+import { SNAPSHOT_FILE, isSnapshot } from "./githubPlugin.js";
+
+// -------------------------------------------------------------
+// GitHub activity snapshot (runs before `vite build`, see `npm run build`)
+// - Pinned repos, language mix of public repos and the contribution
+//   calendar, from one GraphQL query. Needs GITHUB_TOKEN (any token that
+//   can read public data); GITHUB_USER overrides the account.
+// - Writes SNAPSHOT_FILE for scripts/githubPlugin.js.
+// - Never fails the build: without a token, offline or on an API error
+//   the previous snapshot is used, else the tile shows the plain icon card.
+// -------------------------------------------------------------
+
+const ENDPOINT = "https://api.github.com/graphql";
+const TIMEOUT_MS = 15000;
+const TOP_LANGUAGES = 5;
+
+const QUERY = `query($login: String!) {
+  user(login: $login) {
+    login
+    url
+    pinnedItems(first: 6, types: REPOSITORY) {
+      nodes { ... on Repository { name description url stargazerCount forkCount primaryLanguage { name color } } }
+    }
+    repositories(first: 100, ownerAffiliations: OWNER, isFork: false, privacy: PUBLIC) {
+      nodes { languages(first: 10, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name color } } } }
+    }
+    contributionsCollection {
+      contributionCalendar { totalContributions weeks { contributionDays { date contributionCount } } }
+    }
+  }
+}`;
+
+// Bytes per language across repos -> top languages as shares of the total,
+// the rest folded into "Other"
+function languageShares(repos) {
+  const bytes = new Map();
+  for (const repo of repos) {
+    for (const { size, node } of repo.languages?.edges || []) {
+      const cur = bytes.get(node.name) || { name: node.name, color: node.color || null, size: 0 };
+      cur.size += size;
+      bytes.set(node.name, cur);
+    }
+  }
+  const all = [...bytes.values()].sort((a, b) => b.size - a.size);
+  const total = all.reduce((s, l) => s + l.size, 0);
+  if (!total) return [];
+  const top = all.slice(0, TOP_LANGUAGES);
+  const rest = all.slice(TOP_LANGUAGES).reduce((s, l) => s + l.size, 0);
+  const share = (n) => Math.round((n / total) * 1000) / 1000;
+  return [
+    ...top.map((l) => ({ name: l.name, color: l.color, share: share(l.size) })),
+    ...(rest ? [{ name: "Other", color: null, share: share(rest) }] : []),
+  ];
+}
+
+function toSnapshot(user, now = new Date()) {
+  const calendar = user.contributionsCollection.contributionCalendar;
+  return {
+    user: user.login,
+    url: user.url,
+    fetchedAt: now.toISOString(),
+    pinned: user.pinnedItems.nodes.filter((r) => r?.name).map((r) => ({
+      name: r.name,
+      description: r.description || "",
+      url: r.url,
+      stars: r.stargazerCount,
+      forks: r.forkCount,
+      language: r.primaryLanguage ? { name: r.primaryLanguage.name, color: r.primaryLanguage.color } : null,
+    })),
+    languages: languageShares(user.repositories.nodes),
+    contributions: {
+      total: calendar.totalContributions,
+      days: calendar.weeks.flatMap((w) => w.contributionDays).map((d) => ({ date: d.date, count: d.contributionCount })),
+    },
+  };
+}
+
+async function fetchUser(login, token) {
+  const res = await fetch(ENDPOINT, {
+    method: "POST",
+    headers: { Authorization: `bearer ${token}`, "Content-Type": "application/json", "User-Agent": "portfolio-build" },
+    body: JSON.stringify({ query: QUERY, variables: { login } }),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`GitHub API: HTTP ${res.status}`);
+  const body = await res.json();
+  if (body.errors?.length) throw new Error(`GitHub API: ${body.errors.map((e) => e.message).join("; ")}`);
+  if (!body.data?.user) throw new Error(`GitHub API: no user "${login}"`);
+  return body.data.user;
+}
+
+async function main() {
+  const root = process.cwd();
+  const login = process.env.GITHUB_USER || GITHUB_USER;
+  const token = process.env.GITHUB_TOKEN;
+  const out = path.join(root, SNAPSHOT_FILE);
+  const keeping = fs.existsSync(out) ? `keeping ${SNAPSHOT_FILE}` : "the GitHub tile will be a plain icon card";
+  if (!token) {
+    console.log(`github: GITHUB_TOKEN not set, ${keeping}`);
+    return;
+  }
+  try {
+    const snapshot = toSnapshot(await fetchUser(login, token));
+    if (!isSnapshot(snapshot)) throw new Error("unexpected response shape");
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(snapshot, null, 2) + "\n");
+    console.log(`github: wrote ${SNAPSHOT_FILE} (${snapshot.pinned.length} pinned, ${snapshot.contributions.total} contributions)`);
+  } catch (e) {
+    console.warn(`github: snapshot failed (${e.message}), ${keeping}`);
+  }
+}
+
+main();
@@ -0,0 +1,73 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// -------------------------------------------------------------
+// GitHub activity data (Vite plugin)
+// - Exposes `import github from "virtual:github"` for the GitHub tile.
+// - Reads the snapshot written by scripts/fetchGithub.js (SNAPSHOT_FILE),
+//   else null (the tile falls back to the plain icon card). The page never
+//   calls the GitHub API itself.
+// - The made-up FIXTURE_FILE stands in for a missing snapshot on the dev
+//   server, or in a build run with GITHUB_FIXTURE=1; never by default.
+// - `source` says which file was used ("snapshot" or "fixture").
+// -------------------------------------------------------------
+
+const VIRTUAL_ID = "virtual:github";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+
+export const SNAPSHOT_FILE = ".cache/github.json";
+export const FIXTURE_FILE = "scripts/fixtures/github.json";
+
+const isStr = (v) => typeof v === "string" && v !== "";
+
+// Shape check only: a half-written or outdated file is treated as missing
+export function isSnapshot(s) {
+  return Boolean(
+    s && isStr(s.user) && isStr(s.fetchedAt) &&
+    Array.isArray(s.pinned) && s.pinned.every((r) => isStr(r?.name) && isStr(r?.url)) &&
+    Array.isArray(s.languages) && s.languages.every((l) => isStr(l?.name) && Number.isFinite(l?.share)) &&
+    s.contributions && Number.isFinite(s.contributions.total) &&
+    Array.isArray(s.contributions.days) && s.contributions.days.every((d) => isStr(d?.date) && Number.isFinite(d?.count))
+  );
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null; // missing or unreadable
+  }
+}
+
+export function loadGithubSnapshot(root = process.cwd(), { fixture = false } = {}) {
+  const files = [["snapshot", SNAPSHOT_FILE], ...(fixture ? [["fixture", FIXTURE_FILE]] : [])];
+  for (const [source, rel] of files) {
+    const data = readJson(path.join(root, rel));
+    if (isSnapshot(data)) return { ...data, source };
+    if (data) console.warn(`github: ignoring ${rel}, it doesn't look like an activity snapshot`);
+  }
+  return null;
+}
+
+export default function githubPlugin() {
+  let root = process.cwd();
+  let fixture = false;
+  return {
+    name: "portfolio-github",
+    configResolved(config) {
+      root = config.root;
+      fixture = config.command === "serve" || process.env.GITHUB_FIXTURE === "1";
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+      for (const rel of [SNAPSHOT_FILE, FIXTURE_FILE]) {
+        const file = path.join(root, rel);
+        if (fs.existsSync(file)) this.addWatchFile(file);
+      }
+      return `export default ${JSON.stringify(loadGithubSnapshot(root, { fixture }))};`;
+    },
+  };
+}
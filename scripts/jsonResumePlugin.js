@@ -0,0 +1,216 @@
+import fs from "node:fs";
+import path from "node:path";
+import { marked } from "marked";
+import { ContentError, validateFrontmatter } from "./contentPlugin.js";
+
+// -------------------------------------------------------------
+// JSON Resume import (Vite plugin)
+// - Reads content/resume.json (https://jsonresume.org/schema) when it
+//   exists and exposes `import resume from "virtual:json-resume"`
+//   (null without the file). src/tiles.js lays it over its defaults:
+//     basics         -> PROFILE (name, label, summary, image) and the
+//                       LinkedIn / GitHub / Instagram tile links
+//     skills         -> one orbiting skill per keyword, at its group's level
+//     projects, work -> entries shaped like content/projects and
+//                       content/experience (Markdown entries win on a clash)
+// - A malformed file fails the build with "<file>: field "<path>" ...";
+//   fields with nowhere to go are listed in one warning.
+// -------------------------------------------------------------
+
+const VIRTUAL_ID = "virtual:json-resume";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+
+export const RESUME_FILE = "content/resume.json";
+
+// JSON Resume levels are free text; these are the ones the skills tile knows,
+// strongest first
+const LEVELS = [
+  ["Expert", /expert|master|fluent|native/i],
+  ["Advanced", /advanced|senior|proficient/i],
+  ["Intermediate", /intermediate|working|competent/i],
+  ["Beginner", /beginner|basic|novice|learning/i],
+];
+
+// basics.profiles[].network -> the social tile it fills
+const NETWORKS = { linkedin: "linkedin", github: "github", instagram: "instagram" };
+
+const MAPPED = {
+  root: ["$schema", "basics", "work", "skills", "projects", "meta"],
+  basics: ["name", "label", "image", "summary", "profiles"],
+  work: ["name", "company", "position", "location", "startDate", "endDate", "summary", "highlights"],
+  skills: ["name", "level", "keywords"],
+  projects: ["name", "description", "highlights", "keywords", "startDate", "endDate", "url"],
+};
+
+const isStr = (v) => typeof v === "string" && v.trim() !== "";
+const isStrList = (v) => Array.isArray(v) && v.every(isStr);
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isDate = (v) => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(String(v));
+
+function check(file, field, ok, message, value) {
+  if (!ok) throw new ContentError(file, field, `${message} (got ${JSON.stringify(value)})`);
+}
+
+// Structural checks for the parts that are mapped; anything else is only reported
+export function validateJsonResume(json, file) {
+  check(file, "(root)", isObj(json), "must be a JSON object", json);
+  const { basics, work, skills, projects } = json;
+  if (basics != null) {
+    check(file, "basics", isObj(basics), "must be an object", basics);
+    for (const key of ["name", "label", "image", "summary"]) {
+      if (basics[key] != null) check(file, `basics.${key}`, isStr(basics[key]), "must be a non-empty string", basics[key]);
+    }
+    if (basics.profiles != null) {
+      check(file, "basics.profiles", Array.isArray(basics.profiles), "must be a list", basics.profiles);
+      basics.profiles.forEach((p, i) => check(file, `basics.profiles[${i}]`, isObj(p) && isStr(p.network) && isStr(p.url), "must be { network, url }", p));
+    }
+  }
+  const list = (name, value, each) => {
+    if (value == null) return;
+    check(file, name, Array.isArray(value), "must be a list", value);
+    value.forEach((item, i) => {
+      check(file, `${name}[${i}]`, isObj(item), "must be an object", item);
+      each(item, `${name}[${i}]`);
+    });
+  };
+  const dates = (item, at) => {
+    for (const key of ["startDate", "endDate"]) {
+      if (item[key] != null) check(file, `${at}.${key}`, isDate(item[key]), "must be YYYY, YYYY-MM or YYYY-MM-DD", item[key]);
+    }
+    if (item.highlights != null) check(file, `${at}.highlights`, isStrList(item.highlights), "must be a list of strings", item.highlights);
+  };
+  list("work", work, (w, at) => {
+    check(file, `${at}.name`, isStr(w.name || w.company), "must name the company", w.name ?? w.company);
+    check(file, `${at}.position`, isStr(w.position), "must be a non-empty string", w.position);
+    check(file, `${at}.startDate`, w.startDate != null, "is required", w.startDate);
+    dates(w, at);
+  });
+  list("skills", skills, (s, at) => {
+    check(file, `${at}.name`, isStr(s.name), "must be a non-empty string", s.name);
+    if (s.keywords != null) check(file, `${at}.keywords`, isStrList(s.keywords), "must be a list of strings", s.keywords);
+  });
+  list("projects", projects, (p, at) => {
+    check(file, `${at}.name`, isStr(p.name), "must be a non-empty string", p.name);
+    if (p.keywords != null) check(file, `${at}.keywords`, isStrList(p.keywords), "must be a list of strings", p.keywords);
+    dates(p, at);
+  });
+}
+
+export function skillLevel(level) {
+  return isStr(level) ? LEVELS.find(([, re]) => re.test(level))?.[0] ?? null : null;
+}
+
+const slugify = (s) => s.toLowerCase().normalize("NFKD").replace(/[^\w\s-]/g, "").trim().replace(/[\s_]+/g, "-");
+const bullets = (list = []) => list.map((h) => `- ${h}`).join("\n");
+const firstSentence = (s) => s.match(/^[\s\S]*?[.!?](\s|$)/)?.[0].trim() ?? s;
+
+// Fields present in the file that mapJsonResume() ignores, as dotted paths
+function unmappedFields(json) {
+  const out = Object.keys(json).filter((k) => !MAPPED.root.includes(k));
+  const extra = (prefix, obj, known) => Object.keys(obj || {}).filter((k) => !known.includes(k)).map((k) => `${prefix}.${k}`);
+  out.push(...extra("basics", json.basics, MAPPED.basics));
+  (json.basics?.profiles || []).forEach((p, i) => {
+    if (!NETWORKS[p.network.toLowerCase()]) out.push(`basics.profiles[${i}] (${p.network})`);
+  });
+  for (const key of ["work", "skills", "projects"]) {
+    (json[key] || []).forEach((item, i) => out.push(...extra(`${key}[${i}]`, item, MAPPED[key])));
+  }
+  (json.skills || []).forEach((s, i) => {
+    if (s.level != null && !skillLevel(s.level)) out.push(`skills[${i}].level ("${s.level}")`);
+  });
+  return out;
+}
+
+export function mapJsonResume(json, file = RESUME_FILE) {
+  validateJsonResume(json, file);
+  const basics = json.basics || {};
+
+  const profile = Object.fromEntries(Object.entries({
+    name: basics.name,
+    greeting: basics.name?.split(/\s+/)[0].toLowerCase(),
+    jobTitle: basics.label,
+    tagline: basics.summary && firstSentence(basics.summary),
+    summary: basics.summary,
+    photo: basics.image,
+  }).filter(([, v]) => v));
+
+  const links = {};
+  for (const p of basics.profiles || []) {
+    const icon = NETWORKS[p.network.toLowerCase()];
+    if (icon) links[icon] = p.url;
+  }
+
+  // a group's keywords all take its level; strongest groups first, so they
+  // land on the inner rings
+  const rank = (level) => (level ? LEVELS.findIndex(([name]) => name === level) : LEVELS.length);
+  const skills = (json.skills || [])
+    .map((s) => ({ level: skillLevel(s.level), names: s.keywords?.length ? s.keywords : [s.name] }))
+    .sort((a, b) => rank(a.level) - rank(b.level))
+    .flatMap(({ level, names }) => names.map((name) => ({ name, level })));
+
+  const projects = (json.projects || []).map((p, i) => {
+    const slug = slugify(p.name);
+    const entry = {
+      id: /^[a-z]/.test(slug) ? slug : `project-${slug}`,
+      title: p.name,
+      group: "Projects",
+      tile: "projectRings",
+      ...(p.startDate && { date: [p.startDate, "01", "01"].join("-").slice(0, 10) }),
+      skills: p.keywords || [],
+      ...(p.description && { summary: p.description, problem: p.description }),
+      ...(p.url && { links: [{ label: "Project", href: p.url }] }),
+    };
+    validateFrontmatter(entry, `${file} projects[${i}]`);
+    return { ...entry, slug: entry.id, file, html: marked.parse(bullets(p.highlights)) };
+  });
+
+  const experience = (json.work || []).map((w, i) => {
+    const company = w.name || w.company;
+    const entry = {
+      id: slugify(`${company} ${w.position}`).replace(/^[^a-z]+/, "") || `work-${i + 1}`,
+      title: w.position,
+      group: "About",
+      company,
+      ...(w.location && { location: w.location }),
+      start: w.startDate.slice(0, 7).padEnd(7, "-01"),
+      ...(w.endDate && { end: w.endDate.slice(0, 7).padEnd(7, "-01") }),
+    };
+    validateFrontmatter(entry, `${file} work[${i}]`);
+    const body = [w.summary, bullets(w.highlights)].filter(Boolean).join("\n\n");
+    return { ...entry, slug: entry.id, skills: [], file, html: marked.parse(body) };
+  });
+
+  return { profile, links, skills, projects, experience, unmapped: unmappedFields(json) };
+}
+
+export function loadJsonResume(root = process.cwd()) {
+  const file = path.join(root, RESUME_FILE);
+  if (!fs.existsSync(file)) return null;
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new ContentError(RESUME_FILE, "(root)", `is not valid JSON: ${e.message}`);
+  }
+  const resume = mapJsonResume(json);
+  if (resume.unmapped.length) console.warn(`${RESUME_FILE}: could not map ${resume.unmapped.join(", ")}`);
+  return resume;
+}
+
+export default function jsonResumePlugin() {
+  let root = process.cwd();
+  return {
+    name: "portfolio-json-resume",
+    configResolved(config) {
+      root = config.root;
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+      this.addWatchFile(path.join(root, RESUME_FILE));
+      return `export default ${JSON.stringify(loadJsonResume(root))};`;
+    },
+  };
+}
@@ -0,0 +1,65 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { siteOrigin } from "./site.js";
+import { buildSitemap } from "./feedsPlugin.js";
+
+// -------------------------------------------------------------
+// Static prerender (runs after both Vite builds, see `npm run build`)
+// - Renders each route from src/entry-server.jsx into dist/<path>/index.html
+//   with its own title, description, Open Graph/Twitter tags, canonical URL
+//   and JSON-LD; the client hydrates that markup.
+// - 404.html is the untouched shell, so unknown paths still boot the app.
+// - resume.html is the résumé alone with the site CSS and no scripts: a
+//   light, print-ready page that opens straight into the browser's
+//   "Save as PDF".
+// - Writes sitemap.xml for the same routes, then removes the SSR build.
+// -------------------------------------------------------------
+
+const root = process.cwd();
+const distDir = path.resolve(root, "dist");
+const ssrDir = path.resolve(root, "dist-ssr");
+
+const ROOT_TAG = '<div id="root"></div>';
+const TITLE_RE = /<title>[\s\S]*?<\/title>/;
+const SCRIPT_RE = /\s*<script\b[\s\S]*?<\/script>/g;
+const PRELOAD_RE = /\s*<link rel="modulepreload"[^>]*>/g;
+
+async function prerender() {
+  const template = fs.readFileSync(path.join(distDir, "index.html"), "utf8");
+  if (!template.includes(ROOT_TAG) || !TITLE_RE.test(template)) {
+    throw new Error(`dist/index.html must contain <title> and ${ROOT_TAG}`);
+  }
+  const server = await import(pathToFileURL(path.join(ssrDir, "entry-server.js")).href);
+  const origin = siteOrigin(root);
+  const routes = server.prerenderRoutes();
+
+  fs.writeFileSync(path.join(distDir, "404.html"), template);
+  for (const { path: route } of routes) {
+    const head = server.renderHead(server.headForPath(route, origin));
+    const html = template
+      .replace(TITLE_RE, () => head)
+      .replace(ROOT_TAG, () => `<div id="root">${server.render(route)}</div>`);
+    const file = path.join(distDir, route, "index.html");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+    console.log(`prerendered ${route}`);
+  }
+
+  const resume = template
+    .replace(SCRIPT_RE, "")
+    .replace(PRELOAD_RE, "")
+    .replace(TITLE_RE, () => server.renderHead(server.headForPath("/resume/", origin)))
+    .replace(ROOT_TAG, () => `<div id="root">${server.renderResume(origin)}</div>`);
+  fs.writeFileSync(path.join(distDir, "resume.html"), resume);
+  console.log("wrote resume.html");
+
+  const sitemap = buildSitemap({ origin, routes: routes.map((r) => ({ route: r.path, lastmod: r.lastmod })) });
+  fs.writeFileSync(path.join(distDir, "sitemap.xml"), sitemap);
+  fs.rmSync(ssrDir, { recursive: true, force: true });
+}
+
+prerender().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// -------------------------------------------------------------
+// Site identity for build steps
+// - The canonical origin comes from public/CNAME (GitHub Pages custom domain).
+// - URL helpers keep feeds, sitemap and metadata pointing at the same routes.
+// -------------------------------------------------------------
+
+export const SITE_NAME = "Sachin Sapkota — Data Engineer";
+export const AUTHOR = "Sachin Sapkota";
+// GitHub account behind the activity tile (GITHUB_USER overrides it)
+export const GITHUB_USER = "Mercyenary";
+
+export function siteOrigin(root = process.cwd()) {
+  const file = path.join(root, "public", "CNAME");
+  if (!fs.existsSync(file)) throw new Error(`public/CNAME not found in ${root}: it defines the site domain for absolute URLs`);
+  const domain = fs.readFileSync(file, "utf8").split(/\r?\n/).map((l) => l.trim()).find(Boolean);
+  if (!domain) throw new Error("public/CNAME is empty");
+  return `https://${domain.replace(/^https?:\/\//, "").replace(/\/+$/, "")}`;
+}
+
+export function absoluteUrl(origin, route = "/") {
+  return origin + (route.startsWith("/") ? route : `/${route}`);
+}
+
+export function articleRoute(slug) {
+  return `/articles/${encodeURIComponent(slug)}/`;
+}
+
+export function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
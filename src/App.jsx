@@ -1,5 +1,5 @@
 import PortfolioGrid from "./PortfolioGrid";
 
-export default function App() {
-  return <PortfolioGrid />;
+export default function App(props) {
+  return <PortfolioGrid {...props} />;
 }
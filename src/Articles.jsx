@@ -0,0 +1,87 @@
+import { ARTICLES, findArticle, formatDate } from "./articles";
+
+// -------------------------------------------------------------
+// Articles (content/articles/*.md)
+// - ArticlesTile: latest posts inside the grid (Media tab).
+// - ArticlesIndex / ArticlePage: full pages at #/articles and
+//   #/articles/<slug>; links are plain hash anchors.
+// - `t` / `locale` come from the grid's useLocale().
+// -------------------------------------------------------------
+
+export function ArticlesTile({ label = "Articles", limit = 3, t, locale }) {
+  const latest = ARTICLES.slice(0, limit);
+  return (
+    <div className="w-full h-full p-5 md:p-6 flex flex-col text-start">
+      <div className="flex items-baseline justify-between gap-3">
+        <div className="text-lg md:text-xl font-black tracking-tight">{label}</div>
+        <a href="#/articles" className="text-sm font-semibold opacity-70 hover:opacity-100">{t("articles.all")}</a>
+      </div>
+      {latest.length ? (
+        <ul className="mt-3 space-y-2">
+          {latest.map((a) => (
+            <li key={a.slug}>
+              <a href={`#/articles/${a.slug}`} className="group/article block">
+                <div className="font-semibold leading-snug group-hover/article:underline">{a.title}</div>
+                <div className="text-xs opacity-60">{formatDate(a.date, locale)}</div>
+              </a>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-3 text-sm opacity-70">{t("articles.none")}</p>
+      )}
+    </div>
+  );
+}
+
+export function ArticlesIndex({ t, locale }) {
+  return (
+    <section className="max-w-3xl mx-auto text-start">
+      <div className="flex items-baseline justify-between gap-4">
+        <h1 className="text-3xl sm:text-4xl font-black tracking-tight">{t("page.articles")}</h1>
+        <div className="flex gap-3 text-sm font-semibold opacity-70">
+          <a href="/feed.xml" className="hover:opacity-100">RSS</a>
+          <a href="/atom.xml" className="hover:opacity-100">Atom</a>
+        </div>
+      </div>
+      <ul className="mt-8 divide-y divide-black/5 dark:divide-white/10">
+        {ARTICLES.map((a) => (
+          <li key={a.slug} className="py-5">
+            <a href={`#/articles/${a.slug}`} className="block group/article">
+              <div className="text-xs opacity-60">{formatDate(a.date, locale)}</div>
+              <h2 className="mt-1 text-xl font-bold group-hover/article:underline">{a.title}</h2>
+              {a.summary && <p className="mt-1 opacity-80">{a.summary}</p>}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export function ArticlePage({ slug, t, locale }) {
+  const article = findArticle(slug);
+  if (!article) {
+    return (
+      <section className="max-w-3xl mx-auto text-start">
+        <h1 className="text-3xl font-black tracking-tight">{t("articles.notFound")}</h1>
+        <p className="mt-4"><a href="#/articles" className="underline">{t("articles.backToAll")}</a></p>
+      </section>
+    );
+  }
+  return (
+    <article className="max-w-3xl mx-auto text-start">
+      <a href="#/articles" className="text-sm font-semibold opacity-70 hover:opacity-100">{t("articles.back")}</a>
+      <div className="mt-6 text-xs opacity-60">{formatDate(article.date, locale)}</div>
+      <h1 className="mt-1 text-3xl sm:text-4xl font-black tracking-tight">{article.title}</h1>
+      {article.skills.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2">
+          {article.skills.map((s) => (
+            <li key={s} className="px-3 py-1 rounded-full text-xs ring-1 ring-black/10 dark:ring-white/20">{s}</li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-6 content-prose" dangerouslySetInnerHTML={{ __html: article.html }} />
+    </article>
+  );
+}
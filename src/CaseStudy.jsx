@@ -0,0 +1,163 @@
+import { useEffect, useRef } from "react";
+import { motion } from "framer-motion";
+import { useFocusTrap } from "./useFocusTrap";
+import { transitionFor } from "./reducedMotion";
+
+// -------------------------------------------------------------
+// Project case study (modal)
+// - Grows out of its tile through a shared `layoutId` ("tile-<id>").
+// - Escape, the close button or browser back close it.
+// - Focus is trapped inside while open and restored on close.
+// - With reduced motion it opens in place instead of growing.
+// -------------------------------------------------------------
+
+// Left-to-right boxes + arrows for the `architecture` steps
+function ArchitectureDiagram({ steps, tokens, t }) {
+  const boxW = 96;
+  const gap = 28;
+  const h = 56;
+  const w = steps.length * boxW + (steps.length - 1) * gap;
+  const stroke = tokens.edge;
+  const fill = tokens.wash;
+  return (
+    <svg viewBox={`0 0 ${w} ${h}`} className="w-full h-auto" role="img" aria-label={t("caseStudy.architectureLabel", { steps: steps.join(" → ") })}>
+      <defs>
+        <marker id="cs-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill={stroke} />
+        </marker>
+      </defs>
+      {steps.map((step, i) => {
+        const x = i * (boxW + gap);
+        return (
+          <g key={step + i}>
+            <rect x={x + 1} y={8} width={boxW - 2} height={h - 16} rx={10} fill={fill} stroke={stroke} />
+            <text x={x + boxW / 2} y={h / 2} textAnchor="middle" dominantBaseline="central" fontSize="11" fontWeight="600" fill="currentColor">
+              {step}
+            </text>
+            {i < steps.length - 1 && (
+              <line x1={x + boxW + 2} y1={h / 2} x2={x + boxW + gap - 4} y2={h / 2} stroke={stroke} strokeWidth="1.5" markerEnd="url(#cs-arrow)" />
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function CaseStudyModal({ tile, tokens, reduced = false, onClose, t }) {
+  const panelRef = useRef(null);
+  const cs = tile.caseStudy;
+  useFocusTrap(panelRef, true);
+
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === "Escape") onClose(); };
+    const prevOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      document.body.style.overflow = prevOverflow;
+    };
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-[60] grid place-items-center p-4 sm:p-8">
+      <motion.div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+      />
+      <motion.div
+        ref={panelRef}
+        layoutId={`tile-${tile.id}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="case-study-title"
+        tabIndex={-1}
+        className="relative w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-3xl bg-white dark:bg-[#12151c] ring-1 ring-black/5 dark:ring-white/10 shadow-2xl text-start p-6 sm:p-8 outline-none"
+        style={{ color: tokens.text }}
+        transition={transitionFor(reduced, { type: "spring", stiffness: 320, damping: 34 })}
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <div className="text-xs uppercase tracking-wider opacity-60">{tile.label}</div>
+            <h2 id="case-study-title" className="mt-1 text-2xl sm:text-3xl font-black tracking-tight">{cs.title}</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="shrink-0 w-10 h-10 grid place-items-center rounded-full ring-1 ring-black/10 dark:ring-white/20 hover:bg-black/5 dark:hover:bg-white/10"
+            aria-label={t("caseStudy.close")}
+          >
+            <span aria-hidden="true">✕</span>
+          </button>
+        </div>
+
+        <motion.div initial={{ opacity: 0, y: reduced ? 0 : 8 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: reduced ? 0 : 0.15 }}>
+          {cs.problem && (
+            <section className="mt-6">
+              <h3 className="text-sm font-semibold opacity-70">{t("caseStudy.problem")}</h3>
+              <p className="mt-1 leading-7">{cs.problem}</p>
+            </section>
+          )}
+
+          {cs.html && (
+            <section className="mt-6 content-prose" dangerouslySetInnerHTML={{ __html: cs.html }} />
+          )}
+
+          {cs.stack?.length > 0 && (
+            <section className="mt-6">
+              <h3 className="text-sm font-semibold opacity-70">{t("caseStudy.stack")}</h3>
+              <ul className="mt-2 flex flex-wrap gap-2">
+                {cs.stack.map((s) => (
+                  <li key={s} className="px-3 py-1 rounded-full text-sm ring-1 ring-black/10 dark:ring-white/20">{s}</li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {cs.architecture?.length > 0 && (
+            <section className="mt-6">
+              <h3 className="text-sm font-semibold opacity-70">{t("caseStudy.architecture")}</h3>
+              <div className="mt-2 overflow-x-auto">
+                <ArchitectureDiagram steps={cs.architecture} tokens={tokens} t={t} />
+              </div>
+            </section>
+          )}
+
+          {cs.metrics?.length > 0 && (
+            <section className="mt-6">
+              <h3 className="text-sm font-semibold opacity-70">{t("caseStudy.metrics")}</h3>
+              <dl className="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-3">
+                {cs.metrics.map((m) => (
+                  <div key={m.label} className="rounded-2xl p-4 bg-black/[.03] dark:bg-white/[.05]">
+                    <dt className="text-xs opacity-60">{m.label}</dt>
+                    <dd className="mt-1 text-xl font-black">{m.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+          )}
+
+          {cs.links?.length > 0 && (
+            <section className="mt-6 flex flex-wrap gap-2">
+              {cs.links.map((l) => (
+                <a
+                  key={l.href}
+                  href={l.href}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="px-4 py-2 rounded-full text-sm font-semibold bg-black text-white dark:bg-white dark:text-black"
+                >
+                  {l.label} ↗
+                </a>
+              ))}
+            </section>
+          )}
+        </motion.div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { useFocusTrap } from "./useFocusTrap";
+import { transitionFor } from "./reducedMotion";
+import { searchCommands, loadRecent, pushRecent } from "./commands";
+
+// -------------------------------------------------------------
+// Command palette (Cmd/Ctrl+K)
+// - ARIA combobox: the input owns a listbox and points at the active option
+//   with aria-activedescendant, so focus never leaves the input.
+// - ↑/↓ move, Ctrl+Home/End jump (plain Home/End stay with the text),
+//   Enter runs, Escape closes.
+// - With an empty query recently run commands are listed first.
+// -------------------------------------------------------------
+
+const LISTBOX_ID = "command-palette-list";
+const optionId = (i) => `command-option-${i}`;
+
+// Title with the fuzzy-matched characters emphasised
+function Highlight({ text, indices }) {
+  if (!indices.length) return text;
+  const hit = new Set(indices);
+  return [...text].map((ch, i) => (hit.has(i) ? <mark key={i} className="bg-transparent font-bold underline underline-offset-2" style={{ color: "inherit" }}>{ch}</mark> : ch));
+}
+
+export default function CommandPalette({ commands, tokens, reduced = false, t, onClose }) {
+  const panelRef = useRef(null);
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recent, setRecent] = useState(loadRecent);
+  useFocusTrap(panelRef, true);
+
+  // Sections in display order; `results` is the same options flattened for
+  // keyboard navigation
+  const sections = useMemo(() => {
+    if (query.trim()) return [{ label: t("palette.results"), items: searchCommands(commands, query) }];
+    const byId = new Map(commands.map((c) => [c.id, c]));
+    const recents = recent.map((id) => byId.get(id)).filter(Boolean);
+    const groups = [];
+    if (recents.length) groups.push({ label: t("palette.recent"), items: recents.map((command) => ({ command, indices: [] })) });
+    for (const c of commands) {
+      let g = groups.find((x) => x.label === c.group);
+      if (!g) groups.push((g = { label: c.group, items: [] }));
+      g.items.push({ command: c, indices: [] });
+    }
+    return groups;
+  }, [commands, query, recent, t]);
+  const results = useMemo(() => sections.flatMap((s) => s.items), [sections]);
+  const current = Math.min(activeIndex, results.length - 1);
+
+  useEffect(() => {
+    document.getElementById(optionId(current))?.scrollIntoView({ block: "nearest" });
+  }, [current]);
+
+  const run = (command) => {
+    setRecent((r) => pushRecent(r, command.id));
+    onClose();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    const last = results.length - 1;
+    if (e.key === "ArrowDown") setActiveIndex(current >= last ? 0 : current + 1);
+    else if (e.key === "ArrowUp") setActiveIndex(current <= 0 ? last : current - 1);
+    else if (e.key === "Home" && e.ctrlKey) setActiveIndex(0);
+    else if (e.key === "End" && e.ctrlKey) setActiveIndex(last);
+    else if (e.key === "Enter" && results[current]) run(results[current].command);
+    else if (e.key === "Escape") onClose();
+    else return;
+    e.preventDefault();
+    // keep Escape from also closing a case study underneath
+    e.stopPropagation();
+  };
+
+  let index = -1;
+  return (
+    <div className="fixed inset-0 z-[70] flex items-start justify-center p-4 pt-[12vh]">
+      <motion.div
+        className="absolute inset-0 bg-black/40 backdrop-blur-sm"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        transition={transitionFor(reduced, { duration: 0.15 })}
+        onClick={onClose}
+      />
+      <motion.div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.label")}
+        className="relative w-full max-w-xl overflow-hidden rounded-2xl bg-white dark:bg-[#12151c] ring-1 ring-black/5 dark:ring-white/10 shadow-2xl text-start"
+        style={{ color: tokens.text }}
+        initial={{ opacity: 0, y: reduced ? 0 : -8, scale: reduced ? 1 : 0.98 }}
+        animate={{ opacity: 1, y: 0, scale: 1 }}
+        exit={{ opacity: 0, y: reduced ? 0 : -8, scale: reduced ? 1 : 0.98 }}
+        transition={transitionFor(reduced, { duration: 0.15 })}
+      >
+        <input
+          type="text"
+          role="combobox"
+          aria-expanded={results.length > 0}
+          aria-controls={LISTBOX_ID}
+          aria-autocomplete="list"
+          aria-activedescendant={results.length ? optionId(current) : undefined}
+          aria-label={t("palette.search")}
+          placeholder={t("palette.search")}
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+          onKeyDown={onKeyDown}
+          autoComplete="off"
+          spellCheck={false}
+          className="w-full h-14 px-5 bg-transparent text-base outline-none border-b border-black/5 dark:border-white/10 placeholder:opacity-50"
+        />
+        <div id={LISTBOX_ID} role="listbox" aria-label={t("palette.commands")} className="max-h-[50vh] overflow-y-auto p-2">
+          {sections.map((s, si) => (
+            <div key={s.label} role="group" aria-labelledby={`command-group-${si}`}>
+              <div id={`command-group-${si}`} role="presentation" className="px-3 pt-2 pb-1 text-xs uppercase tracking-wider opacity-60">{s.label}</div>
+              {s.items.map(({ command, indices }) => {
+                index += 1;
+                const i = index;
+                const selected = i === current;
+                return (
+                  <div
+                    key={`${s.label}-${command.id}`}
+                    id={optionId(i)}
+                    role="option"
+                    aria-selected={selected}
+                    onMouseMove={() => { if (!selected) setActiveIndex(i); }}
+                    onClick={() => run(command)}
+                    className={`flex items-center justify-between gap-3 px-3 py-2 rounded-xl cursor-pointer text-sm ${selected ? "bg-black/5 dark:bg-white/10" : ""}`}
+                  >
+                    <span className="truncate"><Highlight text={command.title} indices={indices} /></span>
+                    {command.hint && <span className="shrink-0 text-xs opacity-60">{command.hint}</span>}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+          {!results.length && <p className="px-3 py-6 text-center text-sm opacity-60">{t("palette.empty", { query })}</p>}
+        </div>
+        <p className="sr-only" aria-live="polite">{query.trim() ? t("palette.count", { count: results.length }) : ""}</p>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createContactHandler, validateContact, tooFast, rateLimitWait, loadSent, recordSent, mailtoHref, ContactError } from "./contact";
+import { useNoTileDrag } from "./useNoTileDrag";
+
+// --- Contact form tile ---
+// Name / email / message with per-field errors. Bots are turned away
+// quietly: a filled honeypot or a submit within MIN_FILL_MS of the form
+// appearing "succeeds" without sending. RATE_LIMIT caps sends per browser.
+// When the endpoint fails and there's an address, a prefilled mailto link
+// is offered instead. Without a provider the form is shown disabled.
+const FIELD_CLASS = "w-full px-4 rounded-2xl bg-black/[.04] dark:bg-white/10 ring-1 ring-black/10 dark:ring-white/20 outline-none focus:ring-2 focus:ring-sky-400 text-sm disabled:opacity-60";
+
+export default function ContactTile({ label = "Contact", blurb, provider, options, tokens, t }) {
+  const formRef = useRef(null);
+  const pendingRef = useRef(false);
+  const startedRef = useRef(null);
+  const [values, setValues] = useState({ name: "", email: "", message: "" });
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle"); // idle | pending | success | error
+  const [message, setMessage] = useState("");
+  const [fallback, setFallback] = useState(null); // mailto href after a failed send
+  useNoTileDrag(formRef);
+
+  // the fill-time clock starts once the form is on screen (after hydration)
+  useEffect(() => {
+    startedRef.current = Date.now();
+  }, []);
+
+  const handler = useMemo(() => {
+    if (!provider) return null;
+    try {
+      return createContactHandler(provider, options);
+    } catch (e) {
+      console.warn("Contact form disabled:", e.message);
+      return null;
+    }
+  }, [provider, options]);
+
+  const update = (field) => (e) => {
+    setValues((v) => ({ ...v, [field]: e.target.value }));
+    if (errors[field]) setErrors((errs) => ({ ...errs, [field]: undefined }));
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (pendingRef.current) return;
+    const form = new FormData(e.currentTarget);
+    const thanks = () => { setStatus("success"); setMessage(t("contact.thanks")); };
+    if (form.get("website")) { thanks(); return; } // honeypot
+    const invalid = validateContact(values, t);
+    setErrors(invalid || {});
+    if (invalid) {
+      setStatus("error");
+      setMessage(t("contact.fixFields"));
+      formRef.current?.querySelector("[aria-invalid='true']")?.focus();
+      return;
+    }
+    if (tooFast(startedRef.current)) { thanks(); return; } // filled in at bot speed
+    if (!handler) { setStatus("error"); setMessage(t("contact.closed")); return; }
+    const wait = rateLimitWait(loadSent());
+    if (wait) {
+      setStatus("error");
+      setMessage(t("contact.wait", { count: Math.ceil(wait / 60000) }));
+      return;
+    }
+
+    pendingRef.current = true;
+    setStatus("pending");
+    setMessage("");
+    setFallback(null);
+    const payload = { name: values.name.trim(), email: values.email.trim(), message: values.message.trim() };
+    try {
+      await handler.send({ ...payload, website: "" });
+      recordSent();
+      if (handler.name === "mailto") { setStatus("success"); setMessage(t("contact.mailApp")); } else thanks();
+      setValues({ name: "", email: "", message: "" });
+    } catch (err) {
+      setStatus("error");
+      setMessage(err instanceof ContactError ? t(`contact.error.${err.code}`, null, t("contact.error.failed")) : t("form.unexpected"));
+      if (options?.to && err?.code !== "rate_limited") setFallback(mailtoHref({ to: options.to, ...payload }));
+    } finally {
+      pendingRef.current = false;
+    }
+  };
+
+  const pending = status === "pending";
+  const field = (name) => ({
+    id: `contact-${name}`,
+    name,
+    value: values[name],
+    onChange: update(name),
+    disabled: pending || !handler,
+    "aria-invalid": errors[name] ? true : undefined,
+    "aria-describedby": errors[name] ? `contact-${name}-error` : undefined,
+    style: { color: tokens.text },
+  });
+  const fieldError = (name) =>
+    errors[name] && <p id={`contact-${name}-error`} className="mt-1 text-xs text-rose-600 dark:text-rose-400">{errors[name]}</p>;
+
+  return (
+    <form ref={formRef} onSubmit={onSubmit} noValidate className="w-full h-full p-5 md:p-6 flex flex-col gap-3 text-start overflow-y-auto">
+      <div>
+        <div className="text-lg md:text-xl font-black tracking-tight">{label}</div>
+        <p className="text-sm opacity-70">{blurb ?? t("contact.blurb")}</p>
+      </div>
+      {/* honeypot: hidden from people, tempting for bots */}
+      <div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+        <label>Website <input type="text" name="website" tabIndex={-1} autoComplete="off" /></label>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="contact-name" className="text-xs font-semibold opacity-70">{t("contact.name")}</label>
+          <input {...field("name")} type="text" autoComplete="name" className={`${FIELD_CLASS} h-10`} />
+          {fieldError("name")}
+        </div>
+        <div>
+          <label htmlFor="contact-email" className="text-xs font-semibold opacity-70">{t("form.email")}</label>
+          <input {...field("email")} type="email" autoComplete="email" placeholder="you@example.com" className={`${FIELD_CLASS} h-10`} />
+          {fieldError("email")}
+        </div>
+      </div>
+      <div className="flex-1 flex flex-col min-h-24">
+        <label htmlFor="contact-message" className="text-xs font-semibold opacity-70">{t("contact.message")}</label>
+        <textarea {...field("message")} rows={3} className={`${FIELD_CLASS} flex-1 py-2 resize-none`} />
+        {fieldError("message")}
+      </div>
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={pending || !handler}
+          className="h-10 px-5 rounded-full text-sm font-semibold bg-black text-white dark:bg-white dark:text-black disabled:opacity-60"
+        >
+          {pending ? t("form.sending") : t("contact.send")}
+        </button>
+        <p
+          role="status"
+          aria-live="polite"
+          className={`text-sm min-w-0 ${status === "error" ? "text-rose-600 dark:text-rose-400" : handler ? "text-emerald-700 dark:text-emerald-400" : "opacity-70"}`}
+        >
+          {message || (handler ? "" : t("contact.closed"))}
+          {fallback && <> <a href={fallback} className="underline underline-offset-2 font-semibold">{t("contact.byEmail")}</a>.</>}
+        </p>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,205 @@
+import { useMemo, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { transitionFor } from "./reducedMotion";
+import { normalizeSpec, layoutChart, indexAt, formatValue } from "./chart";
+import { usePublicData } from "./publicData";
+
+// -------------------------------------------------------------
+// Data chart (line / bar / area) for project tiles
+// - `spec` comes from a tile's `chart` (see chart.js); `src` files are
+//   loaded through publicData.js.
+// - Bars grow and lines draw on entry; pointer or ←/→ (when focused)
+//   pick a category and show its values in a tooltip.
+// - Screen readers get the numbers as a table.
+// -------------------------------------------------------------
+
+const W = 200;
+const H = 200;
+
+// Inline rows right away; `src` rows after mount (the prerendered markup
+// shows the empty frame)
+function useChartRows(spec) {
+  const { data, error } = usePublicData(spec?.data ? null : spec?.src);
+  if (spec?.data) return { rows: spec.data, error: null };
+  if (data && !Array.isArray(data)) return { rows: null, error: "not a list of rows" };
+  return { rows: data, error };
+}
+
+export default function DataChart({ spec, tokens, reduced = false, t, className = "" }) {
+  const svgRef = useRef(null);
+  const boxRef = useRef(null);
+  const { rows, error } = useChartRows(spec);
+  const chart = useMemo(() => normalizeSpec(spec, rows, tokens.series), [spec, rows, tokens.series]);
+  const layout = useMemo(() => (chart ? layoutChart(rows, chart, { width: W, height: H }) : null), [rows, chart]);
+  const [tip, setTip] = useState(null); // { i, left, top } in px within the box
+
+  // SVG point -> px inside the wrapper (the viewBox is letterboxed)
+  const place = (i) => {
+    const svg = svgRef.current;
+    const box = boxRef.current;
+    const ctm = svg?.getScreenCTM();
+    if (!ctm || !box) return null;
+    // anchor above the tallest mark in the category
+    const ys = layout.shapes.flatMap((s) => (s.bars || s.points).filter((p) => p.i === i).map((p) => (s.bars ? p.top : p.y)));
+    const top = Math.min(layout.zero, ...ys);
+    const pt = new DOMPoint(layout.cx(i), top).matrixTransform(ctm);
+    const r = box.getBoundingClientRect();
+    return { i, left: pt.x - r.left, top: pt.y - r.top };
+  };
+
+  const onPointerMove = (e) => {
+    const ctm = svgRef.current?.getScreenCTM();
+    if (!ctm || !layout) return;
+    const p = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+    if (p.x < layout.plot.left || p.x > layout.plot.right) return setTip(null);
+    const i = indexAt(p.x, layout.plot, rows.length);
+    if (tip?.i !== i) setTip(place(i));
+  };
+
+  const onKeyDown = (e) => {
+    if (!layout) return;
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (e.key === "Home" || e.key === "End" || step) {
+      e.preventDefault();
+      const last = rows.length - 1;
+      const i = e.key === "Home" ? 0 : e.key === "End" ? last : Math.max(0, Math.min(last, (tip?.i ?? -step) + step));
+      setTip(place(i));
+    } else if (e.key === "Escape") setTip(null);
+  };
+
+  const title = chart?.title || spec?.title || t("chart.title");
+  if (error || (rows && !chart)) {
+    return <div className={`grid place-items-center text-xs opacity-60 ${className}`}>{t("chart.unavailable")}</div>;
+  }
+
+  const travel = layout?.shapes.find((s) => s.points?.length > 1);
+  const row = tip && rows[tip.i];
+
+  return (
+    <div
+      ref={boxRef}
+      className={`flex flex-col outline-none focus-visible:ring-2 focus-visible:ring-sky-400 rounded-2xl ${className}`}
+      role="figure"
+      aria-label={t("chart.help", { title })}
+      tabIndex={0}
+      onKeyDown={onKeyDown}
+      onBlur={() => setTip(null)}
+    >
+      <div className="flex flex-wrap items-baseline justify-between gap-x-3 gap-y-1 px-1 text-[11px] leading-tight">
+        <span className="font-semibold opacity-80">{title}</span>
+        {chart && chart.series.length > 1 && (
+          <ul className="flex flex-wrap gap-x-2.5 opacity-70" aria-hidden="true">
+            {chart.series.map((s) => (
+              <li key={s.key} className="inline-flex items-center gap-1">
+                <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: s.color }} />
+                {s.label}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="relative flex-1 min-h-0">
+        <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} className="absolute inset-0 w-full h-full" aria-hidden="true" onPointerMove={onPointerMove} onPointerLeave={() => setTip(null)}>
+          {layout && (
+            <>
+              {layout.yTicks.map((t) => (
+                <g key={t.v}>
+                  <line x1={layout.plot.left} y1={t.y} x2={layout.plot.right} y2={t.y} stroke={tokens.grid} strokeWidth="1" />
+                  <text x={layout.plot.left - 4} y={t.y} textAnchor="end" dominantBaseline="central" fontSize="7" fill="currentColor" opacity="0.6">{t.text}</text>
+                </g>
+              ))}
+              {layout.xLabels.map((l) => (
+                <text key={l.i} x={l.x} y={layout.plot.bottom + 11} textAnchor="middle" fontSize="7" fill="currentColor" opacity="0.6">{l.text}</text>
+              ))}
+              <line x1={layout.plot.left} y1={layout.plot.top} x2={layout.plot.left} y2={layout.plot.bottom} stroke={tokens.axis} strokeWidth="1.5" />
+              <line x1={layout.plot.left} y1={layout.zero} x2={layout.plot.right} y2={layout.zero} stroke={tokens.axis} strokeWidth="1.5" />
+
+              {tip && <rect x={layout.cx(tip.i) - layout.band / 2} y={layout.plot.top} width={layout.band} height={layout.plot.bottom - layout.plot.top} fill={tokens.wash} />}
+
+              {layout.shapes.map((s) =>
+                s.bars ? (
+                  s.bars.map((b, j) => (
+                    <motion.rect
+                      key={`${s.key}-${b.i}`}
+                      x={b.x}
+                      width={b.w}
+                      rx="2"
+                      fill={s.color}
+                      opacity={tip && tip.i !== b.i ? 0.55 : 1}
+                      initial={{ height: 0, y: layout.zero }}
+                      animate={{ height: b.h, y: b.top }}
+                      transition={transitionFor(reduced, { type: "spring", stiffness: 260, damping: 26, delay: j * 0.03 })}
+                    />
+                  ))
+                ) : (
+                  <g key={s.key}>
+                    {s.area && (
+                      <motion.path d={s.area} fill={s.color} fillOpacity="0.18" stroke="none"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        transition={transitionFor(reduced, { duration: 0.8, delay: 0.4 })}
+                      />
+                    )}
+                    <motion.path d={s.line} fill="none" stroke={s.color} strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"
+                      initial={{ pathLength: 0 }}
+                      animate={{ pathLength: 1 }}
+                      transition={transitionFor(reduced, { duration: 1.4, ease: "easeInOut" })}
+                    />
+                    {tip && s.points.filter((p) => p.i === tip.i).map((p) => (
+                      <circle key={p.i} cx={p.x} cy={p.y} r="3.2" fill={s.color} stroke={tokens.page} strokeWidth="1.5" />
+                    ))}
+                  </g>
+                )
+              )}
+
+              {/* moving datapoint along the first line while nothing is picked */}
+              {travel && !tip && (
+                <motion.circle r="3.2" fill={tokens.amber}
+                  animate={{ cx: travel.points.map((p) => p.x), cy: travel.points.map((p) => p.y) }}
+                  transition={transitionFor(reduced, { duration: 2.2, ease: "easeInOut", repeat: Infinity, repeatDelay: 1.2 })}
+                />
+              )}
+            </>
+          )}
+        </svg>
+
+        {row && (
+          <div
+            className="pointer-events-none absolute z-10 -translate-x-1/2 -translate-y-full -mt-2 whitespace-nowrap rounded-lg px-2 py-1 text-[11px] leading-snug shadow-md ring-1 ring-black/10 dark:ring-white/15 bg-white/95 dark:bg-[#1b1f27]/95"
+            style={{ left: tip.left, top: tip.top, color: tokens.text }}
+            role="status"
+          >
+            <div className="font-semibold">{String(row[chart.x])}</div>
+            {chart.series.map((s) => (
+              <div key={s.key} className="flex items-center gap-1.5">
+                <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: s.color }} aria-hidden="true" />
+                {s.label}: <span className="font-semibold">{formatValue(row[s.key])}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {chart && (
+        <table className="sr-only">
+          <caption>{title}</caption>
+          <thead>
+            <tr>
+              <th scope="col">{chart.x}</th>
+              {chart.series.map((s) => <th key={s.key} scope="col">{s.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i}>
+                <th scope="row">{String(r[chart.x])}</th>
+                {chart.series.map((s) => <td key={s.key}>{formatValue(r[s.key])}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
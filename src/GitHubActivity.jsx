@@ -0,0 +1,110 @@
+import { useMemo } from "react";
+import { motion } from "framer-motion";
+import { transitionFor } from "./reducedMotion";
+import { heatmapWeeks, levelScale, monthLabels } from "./contributions";
+import { formatDate } from "./articles";
+
+// -------------------------------------------------------------
+// GitHub activity (tile body)
+// - `activity` is the build-time snapshot from virtual:github
+//   (scripts/githubPlugin.js); nothing here talks to the API.
+// - Contribution heatmap, language mix and pinned repos, top to bottom;
+//   pinned repos are cut off when the tile is short.
+// - Fixture data is labelled as a sample.
+// -------------------------------------------------------------
+
+const CELL = 10;
+const STEP = 12;
+const TOP = 10; // month labels
+const LEVEL_OPACITY = [0, 0.3, 0.5, 0.75, 1];
+
+function Heatmap({ days, total, tokens, reduced, t, locale }) {
+  const weeks = useMemo(() => heatmapWeeks(days), [days]);
+  const level = useMemo(() => levelScale(days), [days]);
+  const months = useMemo(() => monthLabels(weeks), [weeks]);
+  return (
+    <svg viewBox={`0 0 ${weeks.length * STEP} ${TOP + 7 * STEP}`} className="w-full h-auto" role="img" aria-label={t("github.total", { count: total, total: total.toLocaleString(locale) })}>
+      {months.map((m) => (
+        <text key={m.week} x={m.week * STEP} y={7} fontSize="8" fill="currentColor" opacity="0.6">{m.text}</text>
+      ))}
+      <motion.g initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={transitionFor(reduced, { duration: 0.6 })}>
+        {weeks.map((w, i) =>
+          w.map((d) => d && (
+            <rect
+              key={d.date}
+              x={i * STEP}
+              y={TOP + d.weekday * STEP}
+              width={CELL}
+              height={CELL}
+              rx="2"
+              fill={level(d.count) ? tokens.sky : tokens.wash}
+              fillOpacity={level(d.count) ? LEVEL_OPACITY[level(d.count)] : 1}
+            >
+              <title>{t("github.day", { count: d.count, date: formatDate(d.date, locale) })}</title>
+            </rect>
+          ))
+        )}
+      </motion.g>
+    </svg>
+  );
+}
+
+export default function GitHubActivity({ activity, tokens, reduced = false, Icon, t, locale }) {
+  const { user, url, pinned, languages, contributions } = activity;
+  const pct = (share) => `${Math.round(share * 100)}%`;
+  return (
+    <div className="absolute inset-0 p-4 pb-14 flex flex-col gap-3 overflow-hidden text-start" style={{ color: tokens.text }}>
+      <div className="flex items-center gap-2 min-w-0">
+        {Icon && <Icon className="w-5 h-5 shrink-0" style={{ color: tokens.icon }} />}
+        <a href={url} target="_blank" rel="noopener noreferrer" className="font-semibold hover:underline underline-offset-2">{user}</a>
+        <span className="text-xs opacity-70 truncate">{t("github.total", { count: contributions.total, total: contributions.total.toLocaleString(locale) })}</span>
+      </div>
+
+      <Heatmap days={contributions.days} total={contributions.total} tokens={tokens} reduced={reduced} t={t} locale={locale} />
+
+      {languages.length > 0 && (
+        <div>
+          <div className="flex h-2 rounded-full overflow-hidden" aria-hidden="true">
+            {languages.map((l) => (
+              <span key={l.name} style={{ width: pct(l.share), backgroundColor: l.color || tokens.axis }} />
+            ))}
+          </div>
+          <ul className="mt-1.5 flex flex-wrap gap-x-3 gap-y-0.5 text-[11px]" aria-label={t("github.languages")}>
+            {languages.map((l) => (
+              <li key={l.name} className="inline-flex items-center gap-1">
+                <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: l.color || tokens.axis }} aria-hidden="true" />
+                {l.name} <span className="opacity-60">{pct(l.share)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {pinned.length > 0 && (
+        <ul className="grid sm:grid-cols-2 gap-2 min-h-0" aria-label={t("github.pinned")}>
+          {pinned.map((r) => (
+            <li key={r.url}>
+              <a href={r.url} target="_blank" rel="noopener noreferrer" className="block h-full rounded-xl p-2.5 ring-1 ring-black/10 dark:ring-white/15 hover:bg-black/5 dark:hover:bg-white/10 transition">
+                <div className="text-sm font-semibold truncate">{r.name}</div>
+                {r.description && <p className="mt-0.5 text-[11px] leading-snug opacity-70 line-clamp-2">{r.description}</p>}
+                <div className="mt-1 flex items-center gap-3 text-[11px] opacity-80">
+                  {r.language && (
+                    <span className="inline-flex items-center gap-1">
+                      <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: r.language.color || tokens.axis }} aria-hidden="true" />
+                      {r.language.name}
+                    </span>
+                  )}
+                  <span aria-label={t("github.stars", { count: r.stars })}>★ {r.stars}</span>
+                </div>
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="absolute end-4 bottom-5 text-[11px] opacity-60">
+        {activity.source === "fixture" ? t("github.sample") : t("github.updated", { date: formatDate(activity.fetchedAt.slice(0, 10), locale) })}
+      </p>
+    </div>
+  );
+}
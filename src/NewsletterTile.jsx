@@ -0,0 +1,97 @@
+import { useMemo, useRef, useState } from "react";
+import { createNewsletterAdapter, validateEmail, NewsletterError } from "./newsletter";
+import { useNoTileDrag } from "./useNoTileDrag";
+
+// --- Newsletter signup tile ---
+// Validates the email, ignores repeat submits while one is in flight, and
+// quietly "succeeds" when the hidden honeypot field was filled in by a bot.
+// Without a provider the form is shown disabled.
+export default function NewsletterTile({ label = "Newsletter", blurb, provider, options, tokens, t }) {
+  const formRef = useRef(null);
+  const pendingRef = useRef(false);
+  const [email, setEmail] = useState("");
+  const [status, setStatus] = useState("idle"); // idle | pending | success | error
+  const [message, setMessage] = useState("");
+  useNoTileDrag(formRef);
+
+  const adapter = useMemo(() => {
+    if (!provider) return null;
+    try {
+      return createNewsletterAdapter(provider, options);
+    } catch (e) {
+      console.warn("Newsletter disabled:", e.message);
+      return null;
+    }
+  }, [provider, options]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (pendingRef.current) return;
+    const form = new FormData(e.currentTarget);
+    if (form.get("website")) { setStatus("success"); setMessage(t("newsletter.thanks")); return; } // honeypot
+    const error = validateEmail(email, t);
+    if (error) { setStatus("error"); setMessage(error); return; }
+    if (!adapter) { setStatus("error"); setMessage(t("newsletter.closed")); return; }
+
+    pendingRef.current = true;
+    setStatus("pending");
+    setMessage("");
+    try {
+      await adapter.subscribe({ email: email.trim() });
+      setStatus("success");
+      setMessage(t("newsletter.confirm"));
+      setEmail("");
+    } catch (err) {
+      setStatus("error");
+      setMessage(err instanceof NewsletterError ? t(`newsletter.error.${err.code}`, null, t("newsletter.error.failed")) : t("form.unexpected"));
+    } finally {
+      pendingRef.current = false;
+    }
+  };
+
+  const pending = status === "pending";
+  return (
+    <form ref={formRef} onSubmit={onSubmit} noValidate className="w-full h-full p-5 md:p-6 flex flex-col justify-center gap-3 text-start">
+      <div>
+        <div className="text-lg md:text-xl font-black tracking-tight">{label}</div>
+        <p className="text-sm opacity-70">{blurb ?? t("newsletter.blurb")}</p>
+      </div>
+      {/* honeypot: hidden from people, tempting for bots */}
+      <div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+        <label>Website <input type="text" name="website" tabIndex={-1} autoComplete="off" /></label>
+      </div>
+      <div className="flex gap-2">
+        <label htmlFor="newsletter-email" className="sr-only">{t("form.emailAddress")}</label>
+        <input
+          id="newsletter-email"
+          type="email"
+          name="email"
+          autoComplete="email"
+          placeholder="you@example.com"
+          value={email}
+          onChange={(e) => { setEmail(e.target.value); if (status === "error") setStatus("idle"); }}
+          aria-invalid={status === "error" || undefined}
+          aria-describedby="newsletter-status"
+          disabled={pending || !adapter}
+          className="min-w-0 flex-1 h-10 px-4 rounded-full bg-black/[.04] dark:bg-white/10 ring-1 ring-black/10 dark:ring-white/20 outline-none focus:ring-2 focus:ring-sky-400 text-sm disabled:opacity-60"
+          style={{ color: tokens.text }}
+        />
+        <button
+          type="submit"
+          disabled={pending || !adapter}
+          className="h-10 px-4 rounded-full text-sm font-semibold bg-black text-white dark:bg-white dark:text-black disabled:opacity-60"
+        >
+          {pending ? t("form.sending") : t("newsletter.subscribe")}
+        </button>
+      </div>
+      <p
+        id="newsletter-status"
+        role="status"
+        aria-live="polite"
+        className={`text-sm min-h-5 ${status === "error" ? "text-rose-600 dark:text-rose-400" : adapter ? "text-emerald-700 dark:text-emerald-400" : "opacity-70"}`}
+      >
+        {message || (adapter ? "" : t("newsletter.closed"))}
+      </p>
+    </form>
+  );
+}
@@ -0,0 +1,131 @@
+import { useMemo } from "react";
+import { motion } from "framer-motion";
+import { transitionFor } from "./reducedMotion";
+import { normalizeDag, layoutDag } from "./dag";
+import { usePublicData } from "./publicData";
+
+// -------------------------------------------------------------
+// Pipeline diagram for project tiles
+// - `spec` is a tile's `dag`: a node/edge spec, an Airflow task export or
+//   a dbt manifest inline, or { src: "file.json" } under public/ (dag.js).
+// - Laid out left to right; every edge carries a streaming dash and a
+//   packet (SMIL <animateMotion>, so it isn't rendered with reduced motion).
+// - The transform gear spins faster while `active` (tile hovered).
+// -------------------------------------------------------------
+
+const W = 200;
+const H = 200;
+
+// Icons are drawn in a 32×32 box around 0,0 and scaled to the node size
+function NodeIcon({ type, tokens, reduced, active }) {
+  const common = { fill: tokens.node, stroke: tokens.pipe, strokeWidth: 1.5 };
+  if (type === "source") {
+    return (
+      <g>
+        <rect x="-10" y="-13" width="20" height="26" rx="3" {...common} />
+        {[-5, 1, 7].map((y) => <line key={y} x1="-6" y1={y} x2="6" y2={y} stroke={tokens.pipe} strokeWidth="1.5" />)}
+      </g>
+    );
+  }
+  if (type === "warehouse") {
+    return (
+      <g>
+        <rect x="-13" y="-9" width="26" height="19" {...common} strokeWidth="0" />
+        <path d="M -13 -9 V 10 A 13 5 0 0 0 13 10 V -9" {...common} />
+        <ellipse cx="0" cy="-9" rx="13" ry="5" {...common} />
+      </g>
+    );
+  }
+  if (type === "sink") {
+    return (
+      <g>
+        <rect x="-14" y="-11" width="28" height="22" rx="3" {...common} />
+        {[[-8, 4], [-2, 8], [4, 12]].map(([x, h]) => <rect key={x} x={x} y={7 - h} width="4" height={h} rx="1" fill={tokens.sky} />)}
+      </g>
+    );
+  }
+  return (
+    <g>
+      <circle r="14" {...common} />
+      <motion.g animate={{ rotate: active ? 360 : 180 }} transition={transitionFor(reduced, { duration: active ? 8 : 16, repeat: Infinity, ease: "linear" })}>
+        <path d="M0 -12 l4 2 4-2 2 4 4 2-2 4 2 4-4 2-2 4-4-2-4 2-2-4-4-2 2-4-2-4 4-2z" fill={tokens.sky} opacity=".65" />
+      </motion.g>
+    </g>
+  );
+}
+
+const shorten = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+export default function PipelineDiagram({ spec, tokens, reduced = false, active = false, t, className = "" }) {
+  const { data, error } = usePublicData(spec?.src || null);
+  const dag = useMemo(() => normalizeDag(spec?.src ? data : spec), [spec, data]);
+  const layout = useMemo(() => (dag ? layoutDag(dag, { width: W, height: H }) : null), [dag]);
+  const title = spec?.title || null;
+
+  if (error || (spec?.src ? data && !dag : !dag)) {
+    return <div className={`grid place-items-center text-xs opacity-60 ${className}`}>{t("pipeline.unavailable")}</div>;
+  }
+
+  const byId = layout && new Map(layout.nodes.map((n) => [n.id, n]));
+  const steps = layout ? [...layout.nodes].sort((a, b) => a.col - b.col).map((n) => n.label) : [];
+  const k = layout ? layout.size / 32 : 1;
+  const colors = [tokens.cyan, tokens.amber];
+  const edgeCol = (n) => (layout.columns < 2 ? "middle" : n.col === 0 ? "start" : n.col === layout.columns - 1 ? "end" : "middle");
+
+  return (
+    <div className={`flex flex-col ${className}`}>
+      {title && <div className="px-1 text-[11px] font-semibold leading-tight opacity-80">{title}</div>}
+      <div className="relative flex-1 min-h-0">
+        <svg
+          viewBox={`0 0 ${W} ${H}`}
+          className="absolute inset-0 w-full h-full"
+          role="img"
+          aria-label={layout ? t("pipeline.label", { steps: steps.join(", "), edges: layout.edges.map((e) => `${byId.get(e.from).label} → ${byId.get(e.to).label}`).join("; ") }) : t("pipeline.loading")}
+        >
+          {/* soft background grid */}
+          {[40, 80, 120, 160].map((y) => (
+            <line key={"hb" + y} x1="0" y1={y} x2="200" y2={y} stroke={tokens.grid} strokeWidth="1" />
+          ))}
+
+          {layout?.edges.map((e, i) => (
+            <g key={`${e.from}->${e.to}`}>
+              <path d={e.d} fill="none" stroke={tokens.pipe} strokeWidth="2" />
+              <motion.path d={e.d} fill="none" stroke={colors[i % 2]} strokeWidth="2.5" strokeDasharray="6 8"
+                animate={{ strokeDashoffset: [0, -100] }}
+                transition={transitionFor(reduced, { duration: 2.2 + (i % 3) * 0.2, repeat: Infinity, ease: "linear" })}
+              />
+              {!reduced && (
+                <circle r="3" fill={colors[i % 2]}>
+                  <animateMotion dur={`${1.8 + (i % 3) * 0.2}s`} begin={`-${(i * 0.35) % 1.8}s`} repeatCount="indefinite" path={e.d} />
+                </circle>
+              )}
+            </g>
+          ))}
+
+          {layout?.nodes.map((n) => (
+            <g key={n.id} transform={`translate(${n.x} ${n.y})`}>
+              <title>{`${n.label} (${n.type})`}</title>
+              <g transform={`scale(${k})`}>
+                <NodeIcon type={n.type} tokens={tokens} reduced={reduced} active={active} />
+              </g>
+              {/* labels alternate below / above by column so neighbours don't
+                  collide; the outer columns hug the edge of the box */}
+              {layout.size >= 14 && (
+                <text
+                  x={edgeCol(n) === "start" ? -layout.size / 2 : edgeCol(n) === "end" ? layout.size / 2 : 0}
+                  y={n.col % 2 ? -layout.size / 2 - 4 : layout.size / 2 + 9}
+                  textAnchor={edgeCol(n)}
+                  fontSize="7"
+                  fill="currentColor"
+                  opacity="0.7"
+                >
+                  {shorten(n.label, layout.gap ? Math.max(6, Math.floor((layout.gap * 2) / 3.8)) : 18)}
+                </text>
+              )}
+            </g>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+}
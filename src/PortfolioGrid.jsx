@@ -1,27 +1,46 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { motion, Reorder } from "framer-motion";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { TILES, PRESETS, NAV, normalizeTiles, profileLinks } from "./tiles";
+import { TILE_TYPE_NAMES } from "./tileTypes";
+import { loadLayout, saveLayout, clearLayout } from "./layoutStorage";
+import { buildLayoutLink, parseLayoutLink, stripLayoutParams, copyText } from "./shareLink";
+import { useHashRoute } from "./router";
+import { useTheme, loadThemeMode } from "./theme";
+import { useMotionPreference, transitionFor } from "./reducedMotion";
+import { normalizeSkills, layoutOrbits, describeSkill } from "./orbits";
+import { collectTags, matchesTags, promoteMatches, toggleTag, tagKey, tagLabel, parseTagParams, writeTagParams } from "./tags";
+import TagFilterBar from "./TagFilterBar";
+import { useNoTileDrag } from "./useNoTileDrag";
+import { documentTitle } from "./seo";
+import { useLocale, LOCALES } from "./i18n";
+import { track } from "./analytics";
+import CaseStudyModal from "./CaseStudy";
+import CommandPalette from "./CommandPalette";
+import DataChart from "./DataChart";
+import PipelineDiagram from "./PipelineDiagram";
+import GitHubActivity from "./GitHubActivity";
+import { ARTICLES } from "./articles";
+import NewsletterTile from "./NewsletterTile";
+import ContactTile from "./ContactTile";
+import { ArticlesTile, ArticlesIndex, ArticlePage } from "./Articles";
+import { ResumePage } from "./Resume";
+import { useBreakpoint, parseSpan, spanLimits, clampSpan, packLayout, applyDrop, gridMetrics, cellToRect, verticalNeighbor, readingPosition } from "./gridLayout";
 
 // -------------------------------------------------------------
 // ✅ Grid KEPT + smoother reflow + hover target preview
 // - Cards stay INSIDE the grid, but you can place them anywhere.
-// - Live reflow while dragging (Reorder.Group), others make space.
-// - Nearest‑tile detection shows a dashed ring on the target (4-way feel).
+// - Explicit 2D placement (gridLayout.js); others reflow around the drop target.
+// - Nearest‑tile detection shows the exact footprint the tile will land in.
 // - Better spring transitions for buttery movement.
 // -------------------------------------------------------------
 
-const NAV = ["All", "About", "Projects", "Media"];
 const SPRING = { type: "spring", mass: 1.1, stiffness: 210, damping: 42, restDelta: 0.0015, bounce: 0.12 };
+// Reduced motion: a short, critically damped reflow instead of the soft spring
+const REDUCED_SPRING = { type: "spring", stiffness: 700, damping: 70, restDelta: 0.01 };
 
 // Global font stack (uses Proxima Nova if available)
 const FONT_STACK = "'Proxima Nova','ProximaNova','Proxima Nova Rg',-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,'Noto Sans','Apple Color Emoji','Segoe UI Emoji','Segoe UI Symbol'";
 
-// Preset orders so each tab pops the intended tiles to the top row(s)
-const PRESETS = {
-  About: ["about", "map", "twitter"],
-  Projects: ["projectWide", "projectTallA", "projectTallB"],
-  Media: ["article", "newsletter", "spotify"],
-};
-
 function viewForActive(order, active) {
   if (active === "All") return order;
   const preset = PRESETS[active] || [];
@@ -46,11 +65,11 @@ function computeView(order, active) {
   return [...top, ...rest];
 }
 
-function Pill({ active, onClick, children, dark = false }) {
+function Pill({ active, onClick, children, tokens }) {
   const base = "px-4 py-1.5 rounded-full text-sm font-medium transition";
   const bg = active ? "bg-white" : "bg-transparent hover:bg-black/5 dark:hover:bg-white/10";
   // Force clear, high-contrast text in both themes
-  const style = { color: active ? "#111111" : (dark ? "#ffffff" : "#111111") };
+  const style = { color: active ? "#111111" : tokens.text };
   return (
     <motion.button
       onClick={onClick}
@@ -78,41 +97,85 @@ function Accent({ children }) {
   return <div className="w-full h-full grid place-items-center">{children}</div>;
 }
 
-function ThemeSwitcher({ dark, onToggle }) {
+// --- Three-way theme control (light / dark / system) ---
+// A radio group: arrow keys move the choice, the knob slides between options.
+const THEME_OPTIONS = [
+  { mode: "light", icon: "☀️", key: "theme.light" },
+  { mode: "dark", icon: "🌙", key: "theme.dark" },
+  { mode: "system", icon: "💻", key: "theme.system" },
+];
+
+function ThemeSwitcher({ themeMode = "system", onThemeMode, tokens, t, dir }) {
+  const groupRef = useRef(null);
+  useNoTileDrag(groupRef);
+  const current = THEME_OPTIONS.find((o) => o.mode === themeMode) ?? THEME_OPTIONS[2];
+
+  const onKeyDown = (e) => {
+    const flip = dir === "rtl" ? -1 : 1; // the row reads right to left
+    const step = { ArrowLeft: -flip, ArrowUp: -1, ArrowRight: flip, ArrowDown: 1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const i = (THEME_OPTIONS.indexOf(current) + step + THEME_OPTIONS.length) % THEME_OPTIONS.length;
+    onThemeMode?.(THEME_OPTIONS[i].mode);
+    groupRef.current?.querySelectorAll('[role="radio"]')[i]?.focus();
+  };
+
   return (
     <div className="w-full h-full grid place-items-center">
-      <motion.button
-        onClick={onToggle}
-        className="relative w-[92px] h-[44px] rounded-full border border-black/10 dark:border-white/10"
-        animate={{ backgroundColor: dark ? "#111827" : "#eef2ff" }}
-        transition={{ duration: 0.2 }}
+      <div
+        ref={groupRef}
+        role="radiogroup"
+        aria-label={t("theme.label")}
+        onKeyDown={onKeyDown}
+        className="flex gap-1 p-1 rounded-full border border-black/10 dark:border-white/10"
+        style={{ backgroundColor: tokens.switchTrack }}
       >
-        <motion.div
-          className="absolute top-1 left-1 w-10 h-10 rounded-full grid place-items-center text-xl"
-          animate={{ x: dark ? 48 : 0, backgroundColor: dark ? "#fde68a" : "#0b0d12", color: dark ? "#111827" : "#fde68a" }}
-          transition={{ type: "spring", stiffness: 420, damping: 30 }}
-        >
-          {dark ? "☀️" : "🌙"}
-        </motion.div>
-      </motion.button>
-      <div className="mt-3 text-sm text-black dark:text-white">{dark ? "Light mode" : "Dark mode"}</div>
+        {THEME_OPTIONS.map((o) => {
+          const checked = o === current;
+          return (
+            <button
+              key={o.mode}
+              type="button"
+              role="radio"
+              aria-checked={checked}
+              aria-label={t(o.key)}
+              title={t(o.key)}
+              tabIndex={checked ? 0 : -1}
+              onClick={() => onThemeMode?.(o.mode)}
+              className="relative w-10 h-10 rounded-full grid place-items-center text-xl outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+            >
+              {checked && (
+                <motion.span
+                  layoutId="theme-knob"
+                  className="absolute inset-0 rounded-full shadow-sm"
+                  style={{ backgroundColor: tokens.switchKnob }}
+                  transition={{ type: "spring", stiffness: 420, damping: 30 }}
+                />
+              )}
+              <span className="relative" aria-hidden="true">{o.icon}</span>
+            </button>
+          );
+        })}
+      </div>
+      <div className="mt-3 text-sm" style={{ color: tokens.text }}>
+        {current.mode === "system" ? t("theme.systemStatus", { scheme: t(`theme.${tokens.scheme}`) }) : t("theme.modeStatus", { mode: t(current.key) })}
+      </div>
     </div>
   );
 }
 
 // --- Logo (wordmark) ---
-function Logo({ dark = false }) {
+function Logo({ tokens, reduced = false }) {
   // Chunky logo font
   const LOGO_STACK = "'Inter','Poppins','Proxima Nova','ProximaNova','Segoe UI',Roboto,'Helvetica Neue',Arial";
 
-  // Light: solid black; Dark: subtle white gradient
-  const gradText = "linear-gradient(90deg, #ffffff, #d1d5db)";
-  const textStyle = dark
+  // Solid text colour, or a subtle gradient when the palette defines one
+  const textStyle = tokens.logo
     ? {
         fontFamily: LOGO_STACK,
         fontSize: "32px",
         fontWeight: 900,
-        backgroundImage: gradText,
+        backgroundImage: tokens.logo,
         WebkitBackgroundClip: "text",
         backgroundClip: "text",
         color: "transparent",
@@ -121,7 +184,7 @@ function Logo({ dark = false }) {
         fontFamily: LOGO_STACK,
         fontSize: "32px",
         fontWeight: 900,
-        color: "#111111",
+        color: tokens.text,
       };
 
   // measure where the "i" should be so the path can rise there
@@ -138,7 +201,7 @@ function Logo({ dark = false }) {
     const rect = el.getBoundingClientRect();
     const ir = iEl.getBoundingClientRect();
     setDims({ w: el.offsetWidth, iCenter: ir.left - rect.left + ir.width / 2 });
-  }, [dark]);
+  }, [tokens]);
 
   // Build a path that runs along the baseline, rises between h and n to draw a *cursive* i with a tighter, even loop,
   // then returns to the baseline and finishes.
@@ -161,19 +224,19 @@ function Logo({ dark = false }) {
     C ${xi + spread * 0.45} ${baseline}, ${xi + spread * 0.55} ${baseline}, ${right} ${baseline}
     L 100 ${baseline}`;
 
-  const stroke = dark ? "#ffffff" : "#111111";
-  // sun-yellow dot in both themes
-  const dotFill = "#facc15";
+  const stroke = tokens.text;
+  // sun-yellow dot
+  const dotFill = tokens.amber;
 
   return (
     <motion.a
-      href="#"
+      href="#/"
       className="inline-flex items-center gap-2 select-none"
       aria-label="Sachin"
       initial={false}
       whileHover={{ scale: 1.03, y: -0.5 }}
-      onHoverStart={() => setReplay((r) => r + 1)}
-      onTap={() => setReplay((r) => r + 1)}
+      onHoverStart={() => { if (!reduced) setReplay((r) => r + 1); }}
+      onTap={() => { if (!reduced) setReplay((r) => r + 1); }}
       transition={{ type: "spring", stiffness: 420, damping: 28 }}
     >
       <div className="relative leading-none">
@@ -200,9 +263,9 @@ function Logo({ dark = false }) {
             stroke={stroke}
             strokeWidth={2.5}
             strokeLinecap="round"
-            initial={{ pathLength: 0 }}
+            initial={reduced ? false : { pathLength: 0 }}
             animate={{ pathLength: 1 }}
-            transition={{ duration: 1.9, ease: "easeInOut" }}
+            transition={transitionFor(reduced, { duration: 1.9, ease: "easeInOut" })}
           />
           {/* the i dot drops LAST */}
           <motion.circle
@@ -210,9 +273,9 @@ function Logo({ dark = false }) {
             cy={baseline - loopH - 4}
             r={2.2}
             fill={dotFill}
-            initial={{ opacity: 0, y: -8, scale: 0.8 }}
+            initial={reduced ? false : { opacity: 0, y: -8, scale: 0.8 }}
             animate={{ opacity: 1, y: 0, scale: 1 }}
-            transition={{ delay: 2.0, type: "spring", stiffness: 600, damping: 18 }}
+            transition={transitionFor(reduced, { delay: 2.0, type: "spring", stiffness: 600, damping: 18 })}
           />
         </svg>
       </div>
@@ -248,11 +311,12 @@ const Icons = {
   ),
 };
 
-function SocialCard({ href, icon = "linkedin", brand = "", dark = false }) {
+function SocialCard({ href, icon = "linkedin", brand = "", label = "", tokens, t }) {
   const [isHover, setIsHover] = useState(false);
+  brand = brand || label;
   const Icon = Icons[icon] || Icons.linkedin;
   const brandClass = icon === "linkedin" ? "text-[#0A66C2]" : ""; // instagram + github handled separately
-  const iconStyle = icon === "github" ? { color: dark ? "#ffffff" : "#000000" } : undefined;
+  const iconStyle = icon === "github" ? { color: tokens.icon } : undefined;
 
   return (
     <div
@@ -267,56 +331,67 @@ function SocialCard({ href, icon = "linkedin", brand = "", dark = false }) {
         rel="noopener noreferrer"
         layout
         initial={false}
-        className={`absolute left-3 bottom-3 h-9 rounded-full bg-white/95 dark:bg-white/20 backdrop-blur-sm text-neutral-900 dark:text-white ring-1 ring-black/10 dark:ring-white/25 shadow-sm dark:shadow-[0_6px_18px_rgba(0,0,0,0.55)] flex items-center gap-2 ${isHover ? 'px-3 pr-2' : 'w-9 justify-center'}`}
-        style={{ color: dark ? '#ffffff' : '#111111' }}
-        aria-label={`Open ${brand || icon}`}
+        className={`absolute start-3 bottom-3 h-9 rounded-full bg-white/95 dark:bg-white/20 backdrop-blur-sm text-neutral-900 dark:text-white ring-1 ring-black/10 dark:ring-white/25 shadow-sm dark:shadow-[0_6px_18px_rgba(0,0,0,0.55)] flex items-center gap-2 ${isHover ? 'ps-3 pe-2' : 'w-9 justify-center'}`}
+        style={{ color: tokens.text }}
+        aria-label={t("social.open", { name: brand || icon })}
         title={brand || icon}
+        onClick={() => track("outbound", { url: href, label: brand || icon })}
         transition={{ type: 'spring', stiffness: 420, damping: 32 }}
       >
         {isHover && (
-          <span className="text-[13px] font-semibold" style={{ color: dark ? '#ffffff' : '#111111' }}>
+          <span className="text-[13px] font-semibold" style={{ color: tokens.text }}>
             {brand || icon}
           </span>
         )}
-        <svg viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4"><path d="M14 3h7v7h-2V6.41l-9.29 9.3-1.42-1.42 9.3-9.29H14V3zM5 5h5V3H3v7h2V5z"/></svg>
+        <svg viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4 rtl:-scale-x-100"><path d="M14 3h7v7h-2V6.41l-9.29 9.3-1.42-1.42 9.3-9.29H14V3zM5 5h5V3H3v7h2V5z"/></svg>
       </motion.a>
     </div>
   );
 }
 
+// --- GitHub: activity from the build-time snapshot, else the icon card ---
+function GitHubTile({ activity, href, label, tokens, reduced = false, t, locale, ...rest }) {
+  const [hover, setHover] = useState(false);
+  if (!activity) return <SocialCard {...rest} href={href} label={label} tokens={tokens} t={t} icon="github" />;
+  return (
+    <div className="relative w-full h-full" onMouseEnter={() => setHover(true)} onMouseLeave={() => setHover(false)}>
+      <GitHubActivity activity={activity} tokens={tokens} reduced={reduced} Icon={Icons.github} t={t} locale={locale} />
+      <CornerChip label={label} href={href} tokens={tokens} hover={hover} />
+    </div>
+  );
+}
+
 // --- Project Rings (for tall project cards) ---
-function CornerChip({ label, href, dark, hover }) {
+function CornerChip({ label, href, tokens, hover }) {
   const Cmp = href ? motion.a : motion.div;
-  const props = href ? { href, target: '_blank', rel: 'noopener noreferrer' } : {};
+  const props = href ? { href, target: '_blank', rel: 'noopener noreferrer', onClick: () => track('outbound', { url: href, label }) } : {};
   return (
     <Cmp
       {...props}
       layout
       initial={false}
-      className={`absolute left-3 bottom-3 h-9 rounded-full bg-white/95 dark:bg-white/20 backdrop-blur-sm text-neutral-900 dark:text-white ring-1 ring-black/10 dark:ring-white/25 shadow-sm dark:shadow-[0_6px_18px_rgba(0,0,0,0.55)] flex items-center gap-2 ${hover ? 'px-3 pr-2' : 'w-9 justify-center'} z-10`}
-      style={{ color: dark ? '#ffffff' : '#111111' }}
+      className={`absolute start-3 bottom-3 h-9 rounded-full bg-white/95 dark:bg-white/20 backdrop-blur-sm text-neutral-900 dark:text-white ring-1 ring-black/10 dark:ring-white/25 shadow-sm dark:shadow-[0_6px_18px_rgba(0,0,0,0.55)] flex items-center gap-2 ${hover ? 'ps-3 pe-2' : 'w-9 justify-center'} z-10`}
+      style={{ color: tokens.text }}
       aria-label={label}
       title={label}
       transition={{ type: 'spring', stiffness: 420, damping: 32 }}
     >
       {hover && (
-        <span className="text-[13px] font-semibold leading-none" style={{ color: dark ? '#ffffff' : '#111111' }}>
+        <span className="text-[13px] font-semibold leading-none" style={{ color: tokens.text }}>
           {label}
         </span>
       )}
-      <svg viewBox="0 0 24 24" className="w-4 h-4" fill="currentColor"><path d="M14 3h7v7h-2V6.41l-9.29 9.3-1.42-1.42 9.3-9.29H14V3zM5 5h5V3H3v7h2V5z"/></svg>
+      <svg viewBox="0 0 24 24" className="w-4 h-4 rtl:-scale-x-100" fill="currentColor"><path d="M14 3h7v7h-2V6.41l-9.29 9.3-1.42-1.42 9.3-9.29H14V3zM5 5h5V3H3v7h2V5z"/></svg>
     </Cmp>
   );
 }
 
-function ProjectRings({ dark, label = 'Project', variant = 'A', href, showChip = true }) {
+function ProjectRings({ tokens, reduced = false, label = 'Project', variant = 'A', href, showChip = true }) {
   const [hover, setHover] = useState(false);
-  // theme palettes
-  const c1 = dark ? '#60a5fa' : '#60a5fa'; // sky-400
-  const c2 = dark ? '#22d3ee' : '#38bdf8'; // cyan-400 / sky-400
-  const c3 = dark ? '#facc15' : '#f59e0b'; // amber
-  const strokeO = dark ? 0.28 : 0.18;
-  const glowO = dark ? 0.18 : 0.12;
+  // outer → inner ring colours from the palette
+  const [c1, c2, c3] = tokens.rings;
+  const strokeO = tokens.ringOpacity;
+  const glowO = tokens.glowOpacity;
 
   // Different centers for variants to avoid identical look
   const cx = variant === 'A' ? 110 : 90;
@@ -333,7 +408,7 @@ function ProjectRings({ dark, label = 'Project', variant = 'A', href, showChip =
         <motion.g
           animate={{ rotate: hover ? 360 : 180 }}
           style={{ originX: cx, originY: cy }}
-          transition={{ duration: hover ? 12 : 24, repeat: Infinity, ease: 'linear' }}
+          transition={transitionFor(reduced, { duration: hover ? 12 : 24, repeat: Infinity, ease: 'linear' })}
         >
           {/* subtle glow strokes */}
           <circle cx={cx} cy={cy} r={62} fill="none" stroke={c1} strokeOpacity={glowO} strokeWidth={14} filter="url(#softGlow)" />
@@ -346,217 +421,131 @@ function ProjectRings({ dark, label = 'Project', variant = 'A', href, showChip =
           <circle cx={cx} cy={cy} r={20} fill="none" stroke={c3} strokeOpacity={strokeO} strokeWidth={2} />
         </motion.g>
       </svg>
-      {showChip && <CornerChip label={label} href={href} dark={dark} hover={hover} />}
+      {showChip && <CornerChip label={label} href={href} tokens={tokens} hover={hover} />}
     </div>
   );
 }
 
 // --- Project A/B themed graphics that include data visuals ---
-function ProjectArtA({ dark, label, href }) {
-  const [hover, setHover] = useState(false);
-  // theme palette
-  const grid = dark ? 'rgba(255,255,255,0.06)' : 'rgba(17,17,17,0.06)';
-  const axis = dark ? 'rgba(255,255,255,0.18)' : 'rgba(17,17,17,0.18)';
-  const barA = '#38bdf8'; // sky
-  const barB = '#22d3ee'; // cyan
-  const barC = '#facc15'; // amber
-  const line = '#60a5fa'; // sky
-
-  // line points (0..200 SVG space)
-  const pts = [
-    { x: 20, y: 150 },
-    { x: 45, y: 128 },
-    { x: 72, y: 140 },
-    { x: 102, y: 96 },
-    { x: 134, y: 118 },
-    { x: 168, y: 84 },
-  ];
-  const d = 'M ' + pts.map((p) => `${p.x} ${p.y}`).join(' L ');
-
-  const bars = [
-    { x: 30, h: 46, c: barA },
-    { x: 52, h: 26, c: barB },
-    { x: 74, h: 54, c: barA },
-    { x: 96, h: 88, c: barC },
-    { x: 118, h: 62, c: barB },
-    { x: 140, h: 72, c: barA },
-  ];
+// Shown until a project tile sets its own `chart` (frontmatter or tiles.js)
+const SAMPLE_CHART = {
+  title: "Pipeline runs",
+  x: "month",
+  series: [
+    { key: "runs", type: "bar", label: "Runs" },
+    { key: "p95", type: "line", label: "p95 minutes" },
+  ],
+  data: [
+    { month: "Jan", runs: 46, p95: 50 },
+    { month: "Feb", runs: 26, p95: 62 },
+    { month: "Mar", runs: 54, p95: 44 },
+    { month: "Apr", runs: 88, p95: 70 },
+    { month: "May", runs: 62, p95: 58 },
+    { month: "Jun", runs: 72, p95: 84 },
+  ],
+};
 
+// Project metrics as a line / bar / area chart (DataChart)
+function ProjectArtA({ tokens, reduced = false, label, href, chart = SAMPLE_CHART, t }) {
+  const [hover, setHover] = useState(false);
   return (
     <div className="relative w-full h-full" onMouseEnter={() => setHover(true)} onMouseLeave={() => setHover(false)}>
-      <svg viewBox="0 0 200 200" className="absolute inset-0 w-full h-full">
-        {/* grid */}
-        {[40,80,120,160].map((y) => (
-          <line key={'h'+y} x1="0" y1={y} x2="200" y2={y} stroke={grid} strokeWidth="1" />
-        ))}
-        {[40,80,120,160].map((x) => (
-          <line key={'v'+x} x1={x} y1="0" x2={x} y2="200" stroke={grid} strokeWidth="1" />
-        ))}
-        {/* axes */}
-        <line x1="16" y1="16" x2="16" y2="170" stroke={axis} strokeWidth="1.5" />
-        <line x1="16" y1="170" x2="190" y2="170" stroke={axis} strokeWidth="1.5" />
-
-        {/* bars */}
-        {bars.map((b, i) => (
-          <motion.rect key={i}
-            x={b.x} width="10"
-            y={170 - (hover ? b.h * 1.08 : b.h)}
-            height={hover ? b.h * 1.08 : b.h}
-            rx="2"
-            fill={b.c}
-            initial={{ height: 0, y: 170 }}
-            animate={{ height: hover ? b.h * 1.08 : b.h, y: 170 - (hover ? b.h * 1.08 : b.h) }}
-            transition={{ type: 'spring', stiffness: 260, damping: 26, delay: i * 0.03 }}
-          />
-        ))}
-
-        {/* line chart */}
-        <motion.path d={d} fill="none" stroke={line} strokeWidth="2.5" strokeLinecap="round"
-          initial={{ pathLength: 0 }}
-          animate={{ pathLength: 1 }}
-          transition={{ duration: 2.2, ease: 'easeInOut', repeat: Infinity, repeatDelay: 1.2 }}
-        />
-        {/* moving datapoint */}
-        <motion.circle r="3.2" fill={barC}
-          animate={{
-            cx: pts.map(p => p.x),
-            cy: pts.map(p => p.y),
-          }}
-          transition={{ duration: 2.2, times: [0,0.2,0.4,0.6,0.8,1], ease: 'easeInOut', repeat: Infinity }}
-        />
-      </svg>
-      <CornerChip label={label} href={href} dark={dark} hover={hover} />
+      <DataChart spec={chart} tokens={tokens} reduced={reduced} t={t} className="absolute inset-x-3 top-3 bottom-14" />
+      <CornerChip label={label} href={href} tokens={tokens} hover={hover} />
     </div>
   );
 }
 
-function ProjectArtB({ dark, label, href }) {
-  const [hover, setHover] = useState(false);
-  const grid = dark ? 'rgba(255,255,255,0.06)' : 'rgba(17,17,17,0.06)';
-  const pipe = dark ? 'rgba(255,255,255,0.28)' : 'rgba(17,17,17,0.28)';
-  const cyan = '#22d3ee';
-  const sky = '#60a5fa';
-  const amber = '#facc15';
-
-  // path helpers
-  const flow1 = 'M 28 80 C 58 58, 72 100, 100 78';
-  const flow2 = 'M 100 122 C 130 142, 142 100, 170 122';
+// Shown until a project tile sets its own `dag`
+const SAMPLE_DAG = {
+  nodes: [
+    { id: "files", label: "Files", type: "source" },
+    { id: "transform", label: "Transform", type: "transform" },
+    { id: "warehouse", label: "Warehouse", type: "warehouse" },
+  ],
+  edges: [["files", "transform"], ["transform", "warehouse"]],
+};
 
+// Pipeline topology from a node/edge spec or an Airflow / dbt export (PipelineDiagram)
+function ProjectArtB({ tokens, reduced = false, label, href, dag = SAMPLE_DAG, t }) {
+  const [hover, setHover] = useState(false);
   return (
     <div className="relative w-full h-full" onMouseEnter={() => setHover(true)} onMouseLeave={() => setHover(false)}>
-      <svg viewBox="0 0 200 200" className="absolute inset-0 w-full h-full">
-        {/* soft background grid */}
-        {[40,80,120,160].map((y) => (
-          <line key={'hb'+y} x1="0" y1={y} x2="200" y2={y} stroke={grid} strokeWidth="1" />
-        ))}
-
-        {/* source node (files) */}
-        <rect x="18" y="64" width="26" height="32" rx="4" fill="rgba(148,163,184,0.15)" stroke={pipe} />
-        <line x1="22" y1="74" x2="38" y2="74" stroke={pipe} />
-        <line x1="22" y1="82" x2="38" y2="82" stroke={pipe} />
-
-        {/* transform node (gear) */}
-        <circle cx="100" cy="100" r="16" fill="rgba(148,163,184,0.15)" stroke={pipe} />
-        <motion.g animate={{ rotate: hover ? 360 : 180 }} style={{ originX: 100, originY: 100 }} transition={{ duration: hover ? 8 : 16, repeat: Infinity, ease: 'linear' }}>
-          <path d="M100 88 l4 2 4-2 2 4 4 2-2 4 2 4-4 2-2 4-4-2-4 2-2-4-4-2 2-4-2-4 4-2z" fill={sky} opacity=".65" />
-        </motion.g>
-
-        {/* warehouse node (database cylinder) */}
-        <g>
-          <ellipse cx="170" cy="96" rx="14" ry="6" fill="rgba(148,163,184,0.15)" stroke={pipe} />
-          <rect x="156" y="96" width="28" height="28" fill="rgba(148,163,184,0.15)" stroke={pipe} />
-          <ellipse cx="170" cy="124" rx="14" ry="6" fill="rgba(148,163,184,0.15)" stroke={pipe} />
-        </g>
-
-        {/* flows */}
-        <path d={flow1} fill="none" stroke={pipe} strokeWidth="2" />
-        <path d={flow2} fill="none" stroke={pipe} strokeWidth="2" />
-        {/* animated streaming dash */}
-        <motion.path d={flow1} fill="none" stroke={cyan} strokeWidth="2.5" strokeDasharray="6 8" animate={{ strokeDashoffset: [0,-100] }} transition={{ duration: 2.2, repeat: Infinity, ease: 'linear' }} />
-        <motion.path d={flow2} fill="none" stroke={amber} strokeWidth="2.5" strokeDasharray="6 8" animate={{ strokeDashoffset: [0,-100] }} transition={{ duration: 2.4, repeat: Infinity, ease: 'linear' }} />
-
-        {/* moving data packets */}
-        <motion.circle r="3" fill={cyan} animate={{
-          cx: [28, 60, 80, 100], cy: [80, 66, 92, 78],
-        }} transition={{ duration: 1.8, repeat: Infinity, ease: 'easeInOut' }} />
-        <motion.circle r="3" fill={amber} animate={{
-          cx: [100, 130, 150, 170], cy: [122, 140, 106, 122],
-        }} transition={{ duration: 2.0, repeat: Infinity, ease: 'easeInOut' }} />
-      </svg>
-      <CornerChip label={label} href={href} dark={dark} hover={hover} />
+      <PipelineDiagram spec={dag} tokens={tokens} reduced={reduced} active={hover} t={t} className="absolute inset-x-3 top-3 bottom-14" />
+      <CornerChip label={label} href={href} tokens={tokens} hover={hover} />
     </div>
   );
 }
 
 // --- 6 core tools, one per ring (1..6)
 // --- 6 core tools, one per ring (Mercury→Saturn)
-function defaultTechSkills() {
-  return [
-    { name: 'Python',   ring: 1, size: 7,   color: '#facc15' }, // Mercury (fastest)
-    { name: 'SQL',      ring: 2, size: 7,   color: '#60a5fa' }, // Venus
-    { name: 'Airflow',  ring: 3, size: 7,   color: '#22d3ee' }, // Earth
-    { name: 'dbt',      ring: 4, size: 6.5, color: '#34d399' }, // Mars
-    { name: 'Spark',    ring: 5, size: 7,   color: '#f59e0b' }, // Jupiter
-    { name: 'BigQuery', ring: 6, size: 7,   color: '#38bdf8' }, // Saturn (slowest)
-  ];
-}
+// Used when the tile config passes no `skills`
+const DEFAULT_TECH_SKILLS = ['Python', 'SQL', 'Airflow', 'dbt', 'Spark', 'BigQuery'];
 
 // --- Pure-SVG revolving rings (all same direction, different speeds) + spinning sun
+// Any number of skills (orbits.js lays out the rings). Hovering or focusing a
+// planet pauses the orbits and shows its tooltip; clicking it toggles that
+// skill in the grid's tag filter (`onToggleSkill`).
 function TechSolarSystem({
-  dark,
+  tokens,
+  reduced = false,
   center = 'Data Engineer',
   skills,
   items,
   profession,
+  selectedSkills = [],
+  onToggleSkill,
+  t,
 }) {
   if (profession) center = profession;
 
-  // normalize skills; ensure 6 items
-  const SKILLS = React.useMemo(() => {
-    if (Array.isArray(skills) && skills.length) {
-      return skills.slice(0, 6).map((s, i) => ({
-        name: typeof s === 'string' ? s : s.name,
-        ring: (typeof s === 'object' && s.ring) ? s.ring : i + 1,
-        size: (typeof s === 'object' && s.size) ? s.size : 7,
-        color: (typeof s === 'object' && s.color) ? s.color :
-          ['#facc15','#60a5fa','#22d3ee','#34d399','#f59e0b','#38bdf8'][i],
-      }));
-    }
-    if (Array.isArray(items) && items.length) {
-      return items.slice(0, 6).map((name, i) => ({
-        name, ring: i + 1, size: 7,
-        color: ['#facc15','#60a5fa','#22d3ee','#34d399','#f59e0b','#38bdf8'][i],
-      }));
-    }
-    return defaultTechSkills();
-  }, [skills, items]);
-
-  const text  = dark ? '#e5e7eb' : '#111111';
-  const grid  = dark ? 'rgba(255,255,255,0.06)' : 'rgba(17,17,17,0.06)';
-  const orbit = dark ? 'rgba(255,255,255,0.22)' : 'rgba(17,17,17,0.22)';
-
-  // Radii fit the 0..200 viewBox
-  const RADII = [24, 36, 48, 60, 72, 84];
+  const SKILLS = React.useMemo(
+    () => normalizeSkills(skills?.length ? skills : items?.length ? items : DEFAULT_TECH_SKILLS, tokens.series),
+    [skills, items, tokens]
+  );
+  const { rings, planets } = React.useMemo(() => layoutOrbits(SKILLS), [SKILLS]);
 
-  // Same direction (clockwise) + planet-like relative speeds
-  // Mercury→Saturn: 8s, 12s, 16s, 24s, 40s, 60s
-  const DUR   =  [ 8, 12, 16, 24, 40, 60 ];
-  const DIR   =  [ 1,  1,  1,  1,  1,  1 ];
-  const START = [ 0,  40, 80, 140, 200, 260 ]; // spread starting angles
+  const text  = tokens.textSoft;
+  const grid  = tokens.grid;
+  const orbit = tokens.orbit;
 
   const toRad = (d) => (d * Math.PI) / 180;
   const pos = (deg, r) => ({ x: 100 + r * Math.cos(toRad(deg)), y: 100 + r * Math.sin(toRad(deg)) });
 
+  // Tooltip for the hovered / focused planet, placed from its on-screen box
+  const wrapRef = useRef(null);
+  const svgRef = useRef(null);
+  const [tip, setTip] = useState(null); // { skill, x, y }
+  const showTip = (skill, el) => {
+    svgRef.current?.pauseAnimations?.();
+    const box = wrapRef.current.getBoundingClientRect();
+    const r = el.getBoundingClientRect();
+    setTip({ skill, x: r.left + r.width / 2 - box.left, y: r.top - box.top });
+  };
+  const hideTip = () => {
+    svgRef.current?.unpauseAnimations?.();
+    setTip(null);
+  };
+
+  // Planets are buttons: keep their pointerdown from starting the tile drag
+  useEffect(() => {
+    const el = svgRef.current;
+    if (!el) return;
+    const stop = (e) => { if (e.target.closest?.('[data-planet]')) e.stopPropagation(); };
+    el.addEventListener('pointerdown', stop);
+    return () => el.removeEventListener('pointerdown', stop);
+  }, []);
+
   return (
-    <div className="relative w-full h-full">
-      <svg viewBox="0 0 200 200" className="absolute inset-0 w-full h-full">
+    <div ref={wrapRef} className="relative w-full h-full">
+      <svg ref={svgRef} viewBox="0 0 200 200" className="absolute inset-0 w-full h-full">
         {/* grid */}
         {[40,80,120,160].map((y) => (
           <line key={y} x1="0" y1={y} x2="200" y2={y} stroke={grid} strokeWidth="1" />
         ))}
 
         {/* base orbits */}
-        {RADII.map((r, i) => (
+        {rings.map(({ r }, i) => (
           <circle
             key={`base-${i}`}
             cx="100" cy="100" r={r}
@@ -568,15 +557,15 @@ function TechSolarSystem({
         {/* Sun + spinning highlight ring */}
         <defs>
           <radialGradient id="sun" cx="50%" cy="50%" r="50%">
-            <stop offset="0%"  stopColor={dark ? '#fde68a' : '#facc15'} stopOpacity="0.95" />
-            <stop offset="100%" stopColor="#f59e0b" stopOpacity="0.8" />
+            <stop offset="0%"  stopColor={tokens.sunCore} stopOpacity="0.95" />
+            <stop offset="100%" stopColor={tokens.orange} stopOpacity="0.8" />
           </radialGradient>
         </defs>
         <g>
-          <circle cx="100" cy="100" r="12" fill="url(#sun)" stroke={dark ? '#000' : '#fff'} strokeOpacity="0.15" />
-          {/* spinning dashed halo to make the sun visibly rotate */}
+          <circle cx="100" cy="100" r="12" fill="url(#sun)" stroke={tokens.sunRim} strokeOpacity="0.15" />
+          {/* spinning dashed halo to make the sun visibly rotate (SMIL: skipped when motion is reduced) */}
           <g>
-            <animateTransform
+            {!reduced && <animateTransform
               attributeName="transform"
               attributeType="XML"
               type="rotate"
@@ -585,24 +574,23 @@ function TechSolarSystem({
               dur={`10s`}
               repeatCount="indefinite"
               calcMode="linear"
-            />
+            />}
             <circle
               cx="100" cy="100" r="16"
-              fill="none" stroke={dark ? '#fcd34d' : '#f59e0b'}
+              fill="none" stroke={tokens.sunHalo}
               strokeWidth="2" strokeOpacity="0.6"
               strokeLinecap="round" vectorEffect="non-scaling-stroke"
               strokeDasharray="8 14"
             />
           </g>
-          <text x="100" y="100" textAnchor="middle" dominantBaseline="central" fontSize="7.5" fontWeight="800" fill={dark ? '#0b0d12' : '#111111'}>
+          <text x="100" y="100" textAnchor="middle" dominantBaseline="central" fontSize="7.5" fontWeight="800" fill={tokens.sunText}>
             {center}
           </text>
         </g>
 
-        {/* SIX RINGS — each <g> rotates around (100,100) forever */}
-        {RADII.map((r, i) => {
-          const skill = SKILLS[i];
-          const startDeg = START[i];
+        {/* PLANETS — each <g> rotates around (100,100) forever */}
+        {planets.map((skill) => {
+          const { r, start: startDeg } = skill;
 
           // base position at 0°; group rotation handles the orbit
           const p = pos(0, r);
@@ -614,34 +602,60 @@ function TechSolarSystem({
 
           // moving-gap arc following the planet
           const C   = 2 * Math.PI * r;
-          const gap = Math.min(Math.max(18, (skill?.size ?? 6) * 4), C * 0.22);
+          const gap = Math.min(Math.max(18, skill.size * 4), C * 0.22);
           const dash = Math.max(0.001, C - gap);
+          const selected = selectedSkills.includes(skill.name);
+          const detail = describeSkill(skill);
 
           return (
-            <g key={`ring-${i}`}>
-              {/* rotate whole group clockwise with planet-like speed */}
-              <animateTransform
+            <g key={skill.name} transform={reduced ? `rotate(${startDeg} 100 100)` : undefined}>
+              {/* rotate whole group clockwise with planet-like speed; reduced motion keeps the start angle */}
+              {!reduced && <animateTransform
                 attributeName="transform"
                 attributeType="XML"
                 type="rotate"
                 from={`${startDeg} 100 100`}
-                to={`${startDeg + DIR[i] * 360} 100 100`}
-                dur={`${DUR[i]}s`}
+                to={`${startDeg + 360} 100 100`}
+                dur={`${skill.dur}s`}
                 repeatCount="indefinite"
                 calcMode="linear"
-              />
-
-              {/* rotating highlight arc */}
-              <circle
-                cx="100" cy="100" r={r}
-                fill="none" stroke={orbit} strokeWidth="1.4" strokeOpacity="0.85"
-                strokeLinecap="round" vectorEffect="non-scaling-stroke"
-                strokeDasharray={`${dash.toFixed(2)} ${gap.toFixed(2)}`}
-              />
-
-              {/* planet */}
-              <circle cx={p.x} cy={p.y} r={(skill?.size ?? 6) + 2.5} fill={`${skill?.color ?? '#999'}22`} />
-              <circle cx={p.x} cy={p.y} r={skill?.size ?? 6} fill={skill?.color ?? '#999'} />
+              />}
+
+              {/* rotating highlight arc (one per ring) */}
+              {planets.find((o) => o.ring === skill.ring) === skill && (
+                <circle
+                  cx="100" cy="100" r={r}
+                  fill="none" stroke={orbit} strokeWidth="1.4" strokeOpacity="0.85"
+                  strokeLinecap="round" vectorEffect="non-scaling-stroke"
+                  strokeDasharray={`${dash.toFixed(2)} ${gap.toFixed(2)}`}
+                />
+              )}
+
+              {/* planet (a button: tooltip on hover / focus, filter on click) */}
+              <g
+                data-planet
+                role="button"
+                tabIndex={0}
+                aria-pressed={selected}
+                aria-label={`${skill.name}${detail ? `, ${detail}` : ''}. ${t('skills.show', { name: skill.name })}`}
+                className="cursor-pointer outline-none"
+                onMouseEnter={(e) => showTip(skill, e.currentTarget)}
+                onMouseLeave={hideTip}
+                onFocus={(e) => showTip(skill, e.currentTarget)}
+                onBlur={hideTip}
+                onClick={() => onToggleSkill?.(skill.name)}
+                onKeyDown={(e) => {
+                  if (e.key !== 'Enter' && e.key !== ' ') return;
+                  e.preventDefault();
+                  onToggleSkill?.(skill.name);
+                }}
+              >
+                <circle cx={p.x} cy={p.y} r={skill.size + 2.5} fill={`${skill.color}22`} />
+                <circle cx={p.x} cy={p.y} r={skill.size} fill={skill.color} />
+                {(selected || tip?.skill.name === skill.name) && (
+                  <circle cx={p.x} cy={p.y} r={skill.size + 4} fill="none" stroke={text} strokeWidth="1.2" vectorEffect="non-scaling-stroke" />
+                )}
+              </g>
 
               {/* label (rotates with the group) */}
               <text
@@ -652,30 +666,34 @@ function TechSolarSystem({
                 fontSize="11"
                 fontWeight="600"
                 fill={text}
-                style={{ paintOrder: 'stroke', stroke: dark ? 'rgba(0,0,0,0.35)' : 'rgba(255,255,255,0.7)', strokeWidth: 1 }}
+                aria-hidden="true"
+                style={{ paintOrder: 'stroke', stroke: tokens.halo, strokeWidth: 1, pointerEvents: 'none' }}
               >
-                {skill?.name}
+                {skill.name}
               </text>
             </g>
           );
         })}
       </svg>
 
-      <div className="absolute inset-x-4 bottom-3 text-xs text-center opacity-70">
-        <span>Core: Python · SQL · Airflow · dbt · Spark · BigQuery</span>
+      {tip && (
+        <div
+          role="tooltip"
+          className="pointer-events-none absolute z-20 -translate-x-1/2 -translate-y-full -mt-2 px-3 py-1.5 rounded-xl text-xs whitespace-nowrap bg-white/95 dark:bg-black/80 ring-1 ring-black/10 dark:ring-white/20 shadow-sm"
+          style={{ left: tip.x, top: tip.y, color: tokens.text }}
+        >
+          <div className="font-semibold">{tip.skill.name}</div>
+          {describeSkill(tip.skill) && <div className="opacity-70">{describeSkill(tip.skill)}</div>}
+        </div>
+      )}
+
+      <div className="absolute inset-x-4 bottom-3 text-xs text-center opacity-70 truncate">
+        <span>{t('skills.core', { names: SKILLS.map((s) => s.name).join(' · ') })}</span>
       </div>
     </div>
   );
 }
 
-
-
-
-
-
-
-
-
 // --- One-time typewriter for About (runs once per page load) ---
 function TypewriterOnce({ text, speed = 18, className = "" }) {
   const [out, setOut] = useState("");
@@ -706,48 +724,215 @@ function TypewriterOnce({ text, speed = 18, className = "" }) {
   );
 }
 
-function AboutCard() {
+// dist/resume.html is written by the prerender step; dev has only the page route
+const RESUME_HREF = import.meta.env.DEV ? "#/resume" : `${import.meta.env.BASE_URL}resume.html`;
+
+function AboutCard({ name, tagline, photo, t }) {
   return (
     <div className="w-full h-full p-6 md:p-8" data-about-content>
       <div className="grid grid-cols-[88px,1fr] gap-6 items-start">
         <motion.div  className="w-20 h-20 rounded-full overflow-hidden ring-1 ring-black/5 dark:ring-white/10"  style={{ originX: 0.45 }} whileHover={{ scale: 1.6 }} whileTap={{ scale: 1.5 }} > 
-          <img src="/sachin.jpg" alt="Sachin" className="w-full h-full object-cover object-[50%_30%]" /> 
+          <img src={photo} alt={name} className="w-full h-full object-cover object-[50%_30%]" /> 
         </motion.div>
 
         <div className="leading-7 text-sm md:text-base font-medium text-current">
           <div className="text-base md:text-lg leading-7 md:leading-8 text-current">
             <p className="font-medium">
-              Hi, I'm <span className="text-3xl md:text-4xl font-black tracking-tight align-baseline">sachin</span>,
+              {t("about.hi")} <span className="text-3xl md:text-4xl font-black tracking-tight align-baseline">{name}</span>,
             </p>
-            <p className="opacity-90">a data engineer & analyst helping turn your data into decisions.</p>
+            <p className="opacity-90">{tagline}</p>
           </div>
         </div>
       </div>
+      {/* résumé download; the static file opens in a new tab ready to print */}
+      <a
+        href={RESUME_HREF}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="absolute start-3 bottom-3 h-9 px-3 rounded-full bg-white/95 dark:bg-white/20 backdrop-blur-sm text-neutral-900 dark:text-white ring-1 ring-black/10 dark:ring-white/25 shadow-sm flex items-center gap-2 text-[13px] font-semibold z-10"
+        title={t("about.resumeTitle")}
+      >
+        <svg viewBox="0 0 24 24" className="w-4 h-4" fill="currentColor" aria-hidden="true"><path d="M11 3h2v9.59l3.3-3.3 1.4 1.42L12 16.41l-5.7-5.7 1.4-1.42 3.3 3.3V3zM5 19h14v2H5v-2z"/></svg>
+        {t("about.resume")}
+      </a>
     </div>
   );
 }
 
-export default function PortfolioGrid() {
-  // Force dark mode immediately on first load (prevents white flash)
-useEffect(() => {
-  document.documentElement.classList.add("dark");
-}, []);
-  const [themeDark, setThemeDark] = useState(true); // default dark
-  const [active, setActive] = useState("All");
-  const [lockdown, setLockdown] = useState(false);
+// --- Corner handle that resizes a tile in whole grid cells ---
+// Pointer: drag the corner. Keyboard: arrow keys grow/shrink by one cell.
+// Uses a native pointerdown listener so the tile's own drag never starts.
+// In right-to-left layouts the handle sits bottom-left and widens leftwards.
+function ResizeHandle({ label, size, limits, getMetrics, onResize, onCommit, t, dir }) {
+  const ref = useRef(null);
 
-  // Brand & document title
-  const BRAND = "Sachin Sapkota — Data Engineer";
   useEffect(() => {
-    try { document.title = BRAND; } catch {}
-  }, []);
+    const el = ref.current;
+    if (!el) return;
+    const onDown = (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      const m = getMetrics();
+      if (!m) return;
+      const start = { x: e.clientX, y: e.clientY };
+      const sign = m.rtl ? -1 : 1;
+      let last = size;
+      const onMove = (ev) => {
+        const next = clampSpan({
+          w: size.w + (sign * (ev.clientX - start.x)) / (m.colW + m.gapX),
+          h: size.h + (ev.clientY - start.y) / (m.rowH + m.gapY),
+        }, limits);
+        if (next.w !== last.w || next.h !== last.h) {
+          last = next;
+          onResize(next);
+        }
+      };
+      const onUp = () => {
+        window.removeEventListener("pointermove", onMove);
+        window.removeEventListener("pointerup", onUp);
+        window.removeEventListener("pointercancel", onUp);
+        onCommit(last);
+      };
+      window.addEventListener("pointermove", onMove);
+      window.addEventListener("pointerup", onUp);
+      window.addEventListener("pointercancel", onUp);
+    };
+    el.addEventListener("pointerdown", onDown);
+    return () => el.removeEventListener("pointerdown", onDown);
+  }, [size, limits, getMetrics, onResize, onCommit]);
+
+  const onKeyDown = (e) => {
+    const grow = dir === "rtl" ? -1 : 1;
+    const delta = { ArrowLeft: [-grow, 0], ArrowRight: [grow, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+    if (!delta) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onCommit(clampSpan({ w: size.w + delta[0], h: size.h + delta[1] }, limits));
+  };
+
+  return (
+    <button
+      ref={ref}
+      type="button"
+      onKeyDown={onKeyDown}
+      className="absolute end-2 bottom-2 z-20 w-6 h-6 grid place-items-center rounded-md text-black/50 dark:text-white/60 opacity-0 group-hover/tile:opacity-100 focus-visible:opacity-100 focus-visible:ring-2 focus-visible:ring-sky-400 cursor-nwse-resize rtl:cursor-nesw-resize touch-none"
+      aria-label={t("grid.resize", { label, w: size.w, h: size.h })}
+      title={t("grid.resizeTitle")}
+    >
+      <svg viewBox="0 0 12 12" className="w-3 h-3 rtl:-scale-x-100" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" aria-hidden="true">
+        <path d="M11 4 L4 11 M11 8 L8 11" />
+      </svg>
+    </button>
+  );
+}
+
+function PlaceholderTile({ label }) {
+  return (
+    <Accent>
+      <div className="text-sm md:text-base text-current">{label}</div>
+    </Accent>
+  );
+}
+
+// --- Tile registry: `type` in tiles.js -> renderer (names mirrored in tileTypes.js) ---
+// Every renderer receives the tile's `props` plus { label, tokens, reduced,
+// themeMode, onThemeMode, selectedSkills, onToggleSkill, t, dir } (`tokens` is the
+// active palette from theme.js, `reduced` the motion preference from
+// reducedMotion.js, `t`/`dir` the UI locale from i18n.js).
+const TILE_TYPES = {
+  about: AboutCard,
+  social: SocialCard,
+  github: GitHubTile,
+  projectArtA: ProjectArtA,
+  projectArtB: ProjectArtB,
+  projectRings: ProjectRings,
+  techSolarSystem: TechSolarSystem,
+  themeSwitcher: ThemeSwitcher,
+  newsletter: NewsletterTile,
+  contact: ContactTile,
+  articles: ArticlesTile,
+  placeholder: PlaceholderTile,
+};
+
+const BASE_TILES = normalizeTiles(TILES, Object.keys(TILE_TYPES));
+const ABOUT_ID = BASE_TILES.find((t) => t.type === "about")?.id;
+const TILE_IDS = BASE_TILES.map((t) => t.id);
+const TAG_GROUPS = collectTags(BASE_TILES);
+const TAG_KEYS = TAG_GROUPS.flatMap((g) => g.tags.map((t) => t.key));
+
+// Fixed tiles (About, Contact, …) have catalog labels; projects keep their names
+const tileLabel = (item, t) => t(`tile.${item.id}`, null, item.label);
+
+function TileContent({ item, tokens, reduced, themeMode, onThemeMode, selectedSkills, onToggleSkill, t, dir, locale }) {
+  const Cmp = TILE_TYPES[item.type] || PlaceholderTile;
+  return <Cmp {...item.props} label={tileLabel(item, t)} tokens={tokens} reduced={reduced} themeMode={themeMode} onThemeMode={onThemeMode} selectedSkills={selectedSkills} onToggleSkill={onToggleSkill} t={t} dir={dir} locale={locale} />;
+}
+
+// `initialPath` seeds the route for prerendering / hydration; `ssr` skips
+// anything that only exists in a browser (storage, the query string).
+export default function PortfolioGrid({ initialPath = null, ssr = false }) {
+  // Theme mode + palette; index.html's boot script already set the class
+  const { mode: themeMode, setMode: setThemeMode, theme, tokens } = useTheme();
+  // Motion preference (OS setting or the header toggle); softens layout springs
+  const [reducedMotion, setReducedMotion] = useMotionPreference();
+  // UI language (i18n.js); sets <html lang dir>, so the grid mirrors in RTL
+  const { locale, dir, t, setLocale } = useLocale();
+  const layoutSpring = reducedMotion ? REDUCED_SPRING : SPRING;
+  // Saved layout from a previous visit (read once)
+  const [saved] = useState(() => (ssr ? null : loadLayout(BASE_TILES)));
+  // Shared layout link (?layout=...&tab=...&theme=...) is shown over the saved layout
+  const [linked] = useState(() => (ssr || typeof window === "undefined" ? null : parseLayoutLink(window.location.search, BASE_TILES, NAV)));
+  // Active tab lives in the URL hash (#/projects, #/projects/<tileId>)
+  const [route, navigate] = useHashRoute(NAV, TILE_IDS, initialPath);
+  const active = route.tab;
+  const setActive = (tab) => {
+    if (tab !== active) track("tab", { from: active, to: tab });
+    navigate({ tab });
+  };
+  const [lockdown, setLockdown] = useState(false);
+  // Visitor choices are tracked (analytics.js); restoring saved state is not
+  const chooseTheme = (mode) => {
+    if (mode !== themeMode) track("theme", { mode });
+    setThemeMode(mode);
+  };
+  const toggleLockdown = () => {
+    track("lock", { locked: !lockdown });
+    setLockdown(!lockdown);
+  };
+  // Tag filter (tags.js, mirrored in ?tags=&match=): matches move up, the rest dim
+  const [tagFilter, setTagFilter] = useState([]);
+  const [tagMatch, setTagMatch] = useState("any");
+  const toggleTagFilter = (key) => setTagFilter((sel) => toggleTag(sel, key));
+  const selectedSkills = useMemo(() => tagFilter.filter((k) => k.startsWith("skill:")).map(tagLabel), [tagFilter]);
+
+  // Case study open from the route (#/<tab>/<tileId>/case-study)
+  const caseTile = route.detail ? BASE_TILES.find((t) => t.id === route.tileId && t.caseStudy) : null;
+  // Document title (shared with the prerendered <head>, see seo.js)
+  const title = documentTitle(route, t);
+  useEffect(() => {
+    document.title = title;
+  }, [title]);
+
+  // Opening pushes a history entry so back closes it; a case study that was
+  // deep-linked on load has nothing to go back to, so it is closed in place.
+  const openedCaseRef = useRef(false);
+  const openCaseStudy = (item) => {
+    openedCaseRef.current = true;
+    navigate({ tab: active, tileId: item.id, detail: true });
+  };
+  const closeCaseStudy = () => {
+    if (!caseTile) return;
+    if (openedCaseRef.current) window.history.back();
+    else navigate({ tab: active }, { replace: true });
+    openedCaseRef.current = false;
+  };
 
   // About hover expansion
   const [hoverAbout, setHoverAbout] = useState(false);
   const [aboutRows, setAboutRows] = useState(3);
   const computeAboutRows = () => {
     const group = groupRef.current;
-    const aboutNode = nodeRefs.current?.['about'];
+    const aboutNode = nodeRefs.current?.[ABOUT_ID];
     if (!group || !aboutNode) return 3;
     try {
       const content = aboutNode.querySelector('[data-about-content]');
@@ -777,30 +962,114 @@ useEffect(() => {
   const [hoverId, setHoverId] = useState(null);
   const [slotRect, setSlotRect] = useState(null);
 
-  // Requested layout
-  const base = [
-    { id: "about", num: 1, group: "About", span: "col-span-full md:col-span-6 row-span-2", label: "About", bg: "from-fuchsia-200 to-rose-100 dark:from-fuchsia-900/40 dark:to-rose-900/30" },
-    { id: "newsletter", num: 2, group: "Media", span: "col-span-full md:col-span-6 row-span-2", label: "Newsletter", bg: "from-amber-200 to-yellow-100 dark:from-amber-900/40 dark:to-yellow-900/30" },
-    { id: "article", num: 3, group: "Media", span: "col-span-full md:col-span-6 row-span-2", label: "Article", bg: "from-sky-200 to-blue-100 dark:from-sky-900/40 dark:to-blue-900/30" },
-    { id: "projectWide", num: 4, group: "Projects", span: "col-span-full md:col-span-6 row-span-2", label: "Project – Wide", bg: "from-emerald-200 to-teal-100 dark:from-emerald-900/40 dark:to-teal-900/30" },
-    { id: "projectTallA", num: 5, group: "Projects", span: "col-span-6 md:col-span-3 row-span-4", label: "Project – Tall A", bg: "from-indigo-200 to-violet-100 dark:from-indigo-900/40 dark:to-violet-900/30" },
-    { id: "projectTallB", num: 6, group: "Projects", span: "col-span-6 md:col-span-3 row-span-4", label: "Project – Tall B", bg: "from-pink-200 to-rose-100 dark:from-pink-900/40 dark:to-rose-900/30" },
-    // Social tiles with icons + links
-    { id: "spotify", num: 7, group: "Media", span: "col-span-6 md:col-span-3 row-span-2", label: "GitHub", icon: "github", href: "https://github.com/Mercyenary", bg: "from-lime-200 to-green-100 dark:from-lime-900/40 dark:to-green-900/30" },
-    { id: "twitter", num: 8, group: "About", span: "col-span-6 md:col-span-3 row-span-2", label: "Instagram", icon: "instagram", href: "https://www.instagram.com/saw_ch_ien", bg: "from-cyan-200 to-sky-100 dark:from-cyan-900/40 dark:to-sky-900/30" },
-    { id: "map", num: 9, group: "About", span: "col-span-6 md:col-span-3 row-span-2", label: "LinkedIn", icon: "linkedin", href: "https://www.linkedin.com/in/mercyenary/", bg: "from-purple-200 to-fuchsia-100 dark:from-purple-900/40 dark:to-fuchsia-900/30" },
-    { id: "themeCard", num: 10, group: "Utility", span: "col-span-6 md:col-span-3 row-span-2", label: "Dark Mode", bg: "from-zinc-50 to-zinc-100 dark:from-white/[.06] dark:to-white/[.04]" },
-  ];
-  const [order, setOrder] = useState(base);
-  const initialOrderRef = useRef(base);
-
-  // Dark mode
+  const [order, setOrder] = useState(BASE_TILES);
+  const initialOrderRef = useRef(BASE_TILES);
+
+  // User tile sizes per breakpoint ({ md: { about: { w, h } } }) + the live resize preview
+  const [spans, setSpans] = useState({});
+  const [resizing, setResizing] = useState(null); // { id, w, h }
+
+  // Saved layout and shared link are applied right after mount (before paint),
+  // so the first render matches the prerendered HTML. A shared link is applied
+  // once; its params are dropped so it doesn't shadow later edits. A shared
+  // order and theme are only shown: nothing is saved until the recipient keeps them.
+  // Every dependency is stable, so this runs once.
+  const [booted, setBooted] = useState(false);
+  const [sharedView, setSharedView] = useState(false);
+  useLayoutEffect(() => {
+    if (linked?.theme) setThemeMode(linked.theme, { persist: false });
+    if (saved?.lockdown != null) setLockdown(saved.lockdown);
+    const restored = linked?.order ?? saved?.order;
+    if (restored) setOrder(restored);
+    if (saved?.spans) setSpans(saved.spans);
+    if (!ssr) {
+      const fromUrl = parseTagParams(window.location.search, TAG_KEYS);
+      setTagFilter(fromUrl.tags);
+      setTagMatch(fromUrl.match);
+    }
+    if (linked?.order || linked?.theme) setSharedView(true);
+    if (linked) {
+      stripLayoutParams();
+      if (linked.active) navigate({ tab: linked.active }, { replace: true });
+    }
+    setBooted(true);
+  }, [linked, saved, ssr, navigate, setThemeMode]);
+
   useEffect(() => {
-    document.documentElement.classList.toggle("dark", themeDark);
-  }, [themeDark]);
+    if (booted) writeTagParams(tagFilter, tagMatch);
+  }, [booted, tagFilter, tagMatch]);
 
-  // One array powers both `values` and `.map(...)`
-  const list = useMemo(() => viewForActive(order, active), [order, active]);
+  // Copy a link that reopens the current arrangement, tab and theme
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLayoutLink = async () => {
+    try {
+      await copyText(buildLayoutLink({ order, active, theme }));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1600);
+    } catch (e) {
+      console.warn("Copy layout link failed:", e);
+    }
+  };
+
+  // Persist order, sizes and lock state (the theme mode persists itself)
+  useEffect(() => {
+    if (booted && !sharedView) saveLayout({ order, spans, lockdown });
+  }, [booted, sharedView, order, spans, lockdown]);
+
+  // Shared layout: keep it, with any edits made meanwhile (saved from now on),
+  // or go back to the saved order and theme
+  const leaveSharedView = (keep) => {
+    if (keep) setThemeMode(themeMode);
+    else {
+      setOrder(saved?.order ?? initialOrderRef.current);
+      setSpans(saved?.spans ?? {});
+      setLockdown(saved?.lockdown ?? false);
+      setThemeMode(loadThemeMode(), { persist: false });
+    }
+    setSharedView(false);
+  };
+
+  // Drop the saved layout and go back to the config order
+  const resetLayout = () => {
+    clearLayout();
+    setSharedView(false);
+    setOrder(initialOrderRef.current);
+    setSpans({});
+    setActive("All");
+  };
+
+  // One array powers both placement and `.map(...)`
+  const list = useMemo(() => promoteMatches(viewForActive(order, active), tagFilter, tagMatch), [order, active, tagFilter, tagMatch]);
+  const matchCount = useMemo(() => BASE_TILES.filter((t) => matchesTags(t, tagFilter, tagMatch)).length, [tagFilter, tagMatch]);
+
+  // Tile footprints for the current breakpoint: config span, then the user's
+  // size for this breakpoint, then an in-progress resize. About grows while hovered.
+  const bp = useBreakpoint();
+  const sizes = useMemo(() => new Map(BASE_TILES.map((t) => {
+    const limits = spanLimits(t, bp.cols);
+    const userSize = spans[bp.name]?.[t.id];
+    let s = userSize ? clampSpan(userSize, limits) : parseSpan(t.span, bp.name);
+    if (resizing?.id === t.id) s = { w: resizing.w, h: resizing.h };
+    return [t.id, t.id === ABOUT_ID && hoverAbout ? { ...s, h: Math.max(s.h, aboutRows) } : s];
+  })), [bp, spans, resizing, hoverAbout, aboutRows]);
+
+  const commitSpan = (id, size) => {
+    setResizing(null);
+    setSpans((prev) => ({ ...prev, [bp.name]: { ...prev[bp.name], [id]: size } }));
+  };
+  const measureGrid = () => (groupRef.current ? gridMetrics(groupRef.current, bp.cols) : null);
+
+  // Explicit cells: `placement` is the committed layout, `preview` what a drop
+  // onto `hoverId` would produce. Other tiles reflow into the preview while dragging.
+  const placement = useMemo(() => packLayout(list.map((x) => x.id), sizes, bp.cols), [list, sizes, bp]);
+  const previewList = useMemo(
+    () => (draggingId && hoverId ? applyDrop(list, draggingId, hoverId, sizes) : list),
+    [list, draggingId, hoverId, sizes]
+  );
+  const preview = useMemo(
+    () => (previewList === list ? placement : packLayout(previewList.map((x) => x.id), sizes, bp.cols)),
+    [previewList, list, placement, sizes, bp]
+  );
 
   // Guarded reorder handler
   const handleReorder = (next) => {
@@ -817,20 +1086,41 @@ useEffect(() => {
     if (el) nodeRefs.current[id] = el;
   };
 
-  // Nearest tile to the pointer (used for hover preview)
+  // Pages (#/articles...) open at the top
+  useEffect(() => {
+    if (route.page) window.scrollTo(0, 0);
+  }, [route.page, route.slug]);
+
+  // Deep link (#/tab/<tileId>): scroll the tile into view and flash a highlight
+  const [highlightId, setHighlightId] = useState(null);
+  useEffect(() => {
+    if (!route.tileId || route.detail) return;
+    nodeRefs.current[route.tileId]?.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightId(route.tileId);
+    const t = setTimeout(() => setHighlightId(null), 2400);
+    return () => clearTimeout(t);
+  }, [route.tileId, route.detail]);
+
+  // Nearest tile to the pointer (used for hover preview). Measured against the
+  // committed cells rather than the DOM so reflowing tiles don't move the target.
   function nearestIdToPoint(point, excludeId) {
-    if (!point) return null;
+    const group = groupRef.current;
+    if (!point || !group) return null;
+    const m = gridMetrics(group, bp.cols);
+    const gr = group.getBoundingClientRect();
+    const px = point.x - window.scrollX - gr.left;
+    const py = point.y - window.scrollY - gr.top;
     let bestId = null;
     let best = Infinity;
     for (const it of list) {
       if (it.id === excludeId) continue;
-      const node = nodeRefs.current[it.id];
-      if (!node) continue;
-      const r = node.getBoundingClientRect();
-      const cx = r.left + r.width / 2;
-      const cy = r.top + r.height / 2;
-      const dx = cx - point.x;
-      const dy = cy - point.y;
+      const cell = placement.get(it.id);
+      if (!cell) continue;
+      const r = cellToRect(cell, m);
+      const cx = r.x + r.w / 2;
+      const cy = r.y + r.h / 2;
+      const dx = cx - px;
+      const dy = cy - py;
       const d2 = dx * dx + dy * dy;
       if (d2 < best) {
         best = d2;
@@ -840,154 +1130,390 @@ useEffect(() => {
     return bestId;
   }
 
-  // track dashed placeholder rect when hovering a target tile
+  // track dashed placeholder: the cells the dragged tile will occupy after the drop
   useEffect(() => {
     if (!draggingId || !hoverId) { setSlotRect(null); return; }
-    const grid = gridRef.current;
-    const node = nodeRefs.current[hoverId];
-    if (!grid || !node) return;
-    const gr = grid.getBoundingClientRect();
-    const nr = node.getBoundingClientRect();
-    setSlotRect({ x: nr.left - gr.left, y: nr.top - gr.top, w: nr.width, h: nr.height });
-  }, [draggingId, hoverId]);
-
-  // Global safety net: clear drag state if pointer ends/cancels or window loses focus
+    const group = groupRef.current;
+    const cell = preview.get(draggingId);
+    if (!group || !cell) return;
+    setSlotRect(cellToRect(cell, gridMetrics(group, bp.cols)));
+  }, [draggingId, hoverId, preview, bp]);
+
+  // Keyboard reordering: Space picks up / drops, arrows move the target slot,
+  // Escape cancels. Progress is announced through the aria-live region.
+  const [kbdPick, setKbdPick] = useState(null); // { id, from, target }
+  const [announcement, setAnnouncement] = useState("");
+  const endKbdPick = () => { setKbdPick(null); setDraggingId(null); setHoverId(null); setSlotRect(null); };
+
+  const handleTileKeyDown = (e, item, index) => {
+    if (e.target !== e.currentTarget) return; // ignore keys from controls inside a tile
+    if (e.key === "Enter" && item.caseStudy && !kbdPick) {
+      e.preventDefault();
+      openCaseStudy(item);
+      return;
+    }
+    if (lockdown) return;
+    const n = list.length;
+    if (e.key === " " || e.key === "Spacebar") {
+      e.preventDefault();
+      if (!kbdPick) {
+        setKbdPick({ id: item.id, from: index, target: index });
+        setDraggingId(item.id);
+        setHoverId(item.id);
+        setAnnouncement(t("grid.pickedUp", { label: tileLabel(item, t), pos: index + 1, n }));
+        track("drag_start", { tile: item.id, from: index + 1, input: "keyboard" });
+        return;
+      }
+      const picked = list.find((x) => x.id === kbdPick.id);
+      const next = applyDrop(list, kbdPick.id, list[kbdPick.target].id, sizes);
+      handleReorder(next);
+      track("drag_end", { tile: picked.id, from: kbdPick.from + 1, to: next.findIndex((x) => x.id === picked.id) + 1, input: "keyboard" });
+      endKbdPick();
+      // where the drop actually landed once the grid re-packs
+      const pos = readingPosition(packLayout(next.map((x) => x.id), sizes, bp.cols), picked.id);
+      setAnnouncement(t("grid.dropped", { label: tileLabel(picked, t), pos, n }));
+      return;
+    }
+    if (!kbdPick || kbdPick.id !== item.id) return;
+    // the grid flows right to left in RTL, so ArrowLeft moves forward there
+    const flip = dir === "rtl" ? -1 : 1;
+    const step = { ArrowLeft: -flip, ArrowRight: flip }[e.key];
+    const dy = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (step || dy) {
+      e.preventDefault();
+      // up/down go to the tile a row away in the committed grid, left/right a step in order
+      const neighbor = dy && verticalNeighbor(placement, list[kbdPick.target].id, dy);
+      const target = dy
+        ? (neighbor ? list.findIndex((x) => x.id === neighbor) : kbdPick.target)
+        : Math.max(0, Math.min(n - 1, kbdPick.target + step));
+      setKbdPick({ ...kbdPick, target });
+      setHoverId(list[target].id);
+      const label = tileLabel(item, t);
+      setAnnouncement(target !== kbdPick.from
+        ? t("grid.movedOver", { label, pos: target + 1, n, other: tileLabel(list[target], t) })
+        : t("grid.moved", { label, pos: target + 1, n }));
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      endKbdPick();
+      setAnnouncement(t("grid.cancelled", { label: tileLabel(item, t), pos: kbdPick.from + 1, n }));
+      track("drag_end", { tile: item.id, from: kbdPick.from + 1, to: kbdPick.from + 1, input: "keyboard" });
+    }
+  };
+
+  // Locking mid-move cancels it
+  useEffect(() => {
+    if (lockdown) { setKbdPick(null); setDraggingId(null); setHoverId(null); }
+  }, [lockdown]);
+
+  // Global safety net: clear drag state if pointer ends/cancels or window loses
+  // focus. A keyboard pick ignores the pointer; only Space/Escape end it.
+  const kbdPickRef = useRef(null);
+  useEffect(() => { kbdPickRef.current = kbdPick; }, [kbdPick]);
   useEffect(() => {
-    const cancel = () => { setDraggingId(null); setHoverId(null); setSlotRect(null); };
-    window.addEventListener("pointerup", cancel);
-    window.addEventListener("pointercancel", cancel);
+    const cancel = () => { setKbdPick(null); setDraggingId(null); setHoverId(null); setSlotRect(null); };
+    const pointerCancel = () => { if (!kbdPickRef.current) cancel(); };
+    window.addEventListener("pointerup", pointerCancel);
+    window.addEventListener("pointercancel", pointerCancel);
     window.addEventListener("blur", cancel);
     return () => {
-      window.removeEventListener("pointerup", cancel);
-      window.removeEventListener("pointercancel", cancel);
+      window.removeEventListener("pointerup", pointerCancel);
+      window.removeEventListener("pointercancel", pointerCancel);
       window.removeEventListener("blur", cancel);
     };
   }, []);
 
+  // Command palette (Cmd/Ctrl+K or the header button)
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setPaletteOpen((o) => !o);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Built on open, so titles reflect the current state (locked, filtered, ...)
+  const paletteCommands = () => {
+    const skillTags = TAG_GROUPS.find((g) => g.kind === "skill")?.tags ?? [];
+    const current = t("cmd.current");
+    return [
+      ...NAV.map((tab) => ({ id: `tab:${tab}`, group: t("cmd.navigate"), title: t("cmd.goTo", { tab: t(`nav.${tab}`) }), hint: active === tab && !route.page ? current : null, keywords: [tab], run: () => setActive(tab) })),
+      { id: "page:articles", group: t("cmd.navigate"), title: t("cmd.allArticles"), run: () => navigate({ page: "articles" }) },
+      { id: "page:resume", group: t("cmd.navigate"), title: t("cmd.resume"), keywords: ["cv", "resume", "pdf", "print"], run: () => navigate({ page: "resume" }) },
+      ...ARTICLES.map((a) => ({ id: `article:${a.slug}`, group: t("cmd.navigate"), title: a.title, hint: t("cmd.article"), run: () => navigate({ page: "articles", slug: a.slug }) })),
+      ...THEME_OPTIONS.map((o) => ({ id: `theme:${o.mode}`, group: t("cmd.actions"), title: t("cmd.theme", { mode: t(o.key) }), hint: themeMode === o.mode ? current : null, keywords: ["dark mode", "light mode", "appearance"], run: () => chooseTheme(o.mode) })),
+      ...LOCALES.map((l) => ({ id: `locale:${l.code}`, group: t("cmd.actions"), title: t("cmd.language", { name: l.label }), hint: locale === l.code ? current : null, keywords: ["language", "locale", "translate", l.code], run: () => setLocale(l.code) })),
+      { id: "lock", group: t("cmd.actions"), title: lockdown ? t("cmd.unlock") : t("cmd.lock"), keywords: ["lockdown", "drag"], run: toggleLockdown },
+      { id: "reset", group: t("cmd.actions"), title: t("header.reset"), keywords: ["order", "sizes"], run: resetLayout },
+      { id: "copy-link", group: t("cmd.actions"), title: t("header.copyLink"), keywords: ["share"], run: copyLayoutLink },
+      { id: "motion", group: t("cmd.actions"), title: reducedMotion ? t("header.playAnimations") : t("header.reduceMotion"), keywords: ["animation", "motion"], run: () => setReducedMotion(!reducedMotion) },
+      ...(tagFilter.length ? [{ id: "clear-filters", group: t("cmd.actions"), title: t("cmd.clearFilters"), run: () => setTagFilter([]) }] : []),
+      ...BASE_TILES.filter((t) => t.caseStudy).map((tile) => ({
+        id: `case:${tile.id}`,
+        group: t("cmd.projects"),
+        title: tile.caseStudy.title || tile.label,
+        hint: t("cmd.caseStudy"),
+        keywords: [tile.label, ...(tile.skills || []), ...(tile.domains || [])],
+        run: () => openCaseStudy(tile),
+      })),
+      ...skillTags.map((tag) => ({
+        id: `tag:${tag.key}`,
+        group: t("cmd.skills"),
+        title: tagFilter.includes(tag.key) ? t("cmd.stopFilter", { tag: tag.value }) : t("cmd.filterBy", { tag: tag.value }),
+        hint: t("filter.tiles", { count: tag.count }),
+        run: () => toggleTagFilter(tag.key),
+      })),
+      ...BASE_TILES.map((tile) => ({ id: `tile:${tile.id}`, group: t("cmd.tiles"), title: t("cmd.show", { label: tileLabel(tile, t) }), hint: t("cmd.tile"), keywords: [tile.type, tile.label], run: () => navigate({ tab: active, tileId: tile.id }) })),
+      ...profileLinks(BASE_TILES).map((l) => ({
+        id: `link:${l.id}`,
+        group: t("cmd.links"),
+        title: t("cmd.open", { name: l.label }),
+        hint: new URL(l.href).hostname.replace(/^www\./, ""),
+        run: () => window.open(l.href, "_blank", "noopener,noreferrer"),
+      })),
+    ];
+  };
+
   return (
-    <motion.div
-      className="min-h-screen"
-      style={{ color: themeDark ? "#ffffff" : "#111111", fontFamily: FONT_STACK }}
-      animate={{ backgroundColor: themeDark ? "#0b0d12" : "#faf7f6" }}
-      transition={{ duration: 0.35 }}
+    <div
+      className="min-h-screen transition-colors duration-300"
+      style={{ color: "var(--page-fg)", backgroundColor: "var(--page-bg)", fontFamily: FONT_STACK }}
     >
       {/* Header */}
-      <header className="sticky top-0 z-50 border-b border-black/5 dark:border-white/10 backdrop-blur">
+      <header className="sticky top-0 z-50 print:hidden border-b border-black/5 dark:border-white/10 backdrop-blur">
         <div className="max-w-6xl mx-auto h-14 sm:h-16 px-4 sm:px-6 flex items-center justify-between">
-          <Logo dark={themeDark} />
-          <nav className="flex gap-1.5 sm:gap-2 rounded-full bg-white/70 dark:bg-white/[.06] p-1 px-1.5 ring-1 ring-black/5 dark:ring-white/10 overflow-x-auto whitespace-nowrap">
+          <Logo tokens={tokens} reduced={reducedMotion} />
+          <nav aria-label={t("nav.label")} className="flex gap-1.5 sm:gap-2 rounded-full bg-white/70 dark:bg-white/[.06] p-1 px-1.5 ring-1 ring-black/5 dark:ring-white/10 overflow-x-auto whitespace-nowrap">
             {NAV.map((tab) => (
-              <Pill key={tab} active={active === tab} onClick={() => { if (tab === 'All') { setOrder(initialOrderRef.current); } setActive(tab); }} dark={themeDark}>
-                {tab}
+              <Pill key={tab} active={active === tab} onClick={() => setActive(tab)} tokens={tokens}>
+                {t(`nav.${tab}`)}
               </Pill>
             ))}
           </nav>
-          <div className="flex gap-2">
+          <div className="flex items-center gap-2">
+            <select
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              aria-label={t("header.language")}
+              title={t("header.language")}
+              className="h-10 px-2 rounded-full border border-black/10 dark:border-white/10 bg-white/90 dark:bg-neutral-900 shadow-sm text-sm font-medium outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+              style={{ color: tokens.text }}
+            >
+              {LOCALES.map((l) => (
+                <option key={l.code} value={l.code} lang={l.code}>{l.label}</option>
+              ))}
+            </select>
+            <motion.button
+              onClick={() => setPaletteOpen(true)}
+              className="grid place-items-center w-14 h-14 sm:w-14 sm:h-14 md:w-16 md:h-16 rounded-full border border-black/10 dark:border-white/10 bg-white/90 dark:bg-white/[.06] shadow-sm"
+              aria-label={t("header.palette")}
+              aria-haspopup="dialog"
+              aria-keyshortcuts="Control+K Meta+K"
+              title={t("header.paletteTitle")}
+              whileTap={{ scale: 0.92 }}
+              whileHover={{ scale: 1.05 }}
+            >
+              <span className="text-2xl" role="img" aria-hidden="true">⌘</span>
+            </motion.button>
+            <motion.button
+              onClick={resetLayout}
+              className="grid place-items-center w-14 h-14 sm:w-14 sm:h-14 md:w-16 md:h-16 rounded-full border border-black/10 dark:border-white/10 bg-white/90 dark:bg-white/[.06] shadow-sm"
+              aria-label={t("header.reset")}
+              title={t("header.reset")}
+              whileTap={{ scale: 0.92 }}
+              whileHover={{ scale: 1.05 }}
+            >
+              <span className="text-2xl" role="img" aria-hidden="true">↺</span>
+            </motion.button>
+            <motion.button
+              onClick={copyLayoutLink}
+              className="grid place-items-center w-14 h-14 sm:w-14 sm:h-14 md:w-16 md:h-16 rounded-full border border-black/10 dark:border-white/10 bg-white/90 dark:bg-white/[.06] shadow-sm"
+              aria-label={linkCopied ? t("header.linkCopied") : t("header.copyLink")}
+              title={linkCopied ? t("header.copied") : t("header.copyLink")}
+              whileTap={{ scale: 0.92 }}
+              whileHover={{ scale: 1.05 }}
+            >
+              <span className="text-2xl" role="img" aria-hidden="true">{linkCopied ? "✅" : "🔗"}</span>
+            </motion.button>
             <motion.button
-              onClick={() => setLockdown((v) => !v)}
+              onClick={toggleLockdown}
               className="grid place-items-center w-14 h-14 sm:w-14 sm:h-14 md:w-16 md:h-16 rounded-full border border-black/10 dark:border-white/10 bg-white/90 dark:bg-white/[.06] shadow-sm"
-              aria-label={lockdown ? "Locked. Click to unlock drag" : "Unlocked. Click to lock drag"}
-              title={lockdown ? "Unlock drag" : "Lock drag"}
+              aria-label={lockdown ? t("header.locked") : t("header.unlocked")}
+              title={lockdown ? t("header.unlockDrag") : t("header.lockDrag")}
               whileTap={{ scale: 0.92 }}
               whileHover={{ scale: 1.05 }}
             >
               <span className="text-2xl" role="img" aria-hidden="true">{lockdown ? "🔒" : "🔓"}</span>
             </motion.button>
+            <motion.button
+              onClick={() => setReducedMotion(!reducedMotion)}
+              className="grid place-items-center w-14 h-14 sm:w-14 sm:h-14 md:w-16 md:h-16 rounded-full border border-black/10 dark:border-white/10 bg-white/90 dark:bg-white/[.06] shadow-sm"
+              aria-label={t("header.reduceMotion")}
+              aria-pressed={reducedMotion}
+              title={reducedMotion ? t("header.playAnimations") : t("header.reduceMotion")}
+              whileTap={{ scale: 0.92 }}
+              whileHover={{ scale: 1.05 }}
+            >
+              <span className="text-2xl" role="img" aria-hidden="true">{reducedMotion ? "⏸️" : "▶️"}</span>
+            </motion.button>
           </div>
         </div>
       </header>
 
       {/* Grid (dense, constrained) */}
       <main className="max-w-5xl md:max-w-6xl lg:max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
-        <div ref={gridRef} className="relative">
-          <Reorder.Group
-            ref={groupRef}
-            axis="y"
-            values={list}
-            onReorder={handleReorder}
-            className="grid grid-cols-6 sm:grid-cols-8 md:grid-cols-12 gap-4 sm:gap-5 md:gap-6 auto-rows-[96px] sm:auto-rows-[110px] md:auto-rows-[130px] lg:auto-rows-[150px] grid-flow-dense"
-          >
-            {/* Dashed animated placeholder */}
-            {draggingId && slotRect && (
-              <motion.div
-                className="pointer-events-none absolute rounded-3xl border-2 border-dashed border-black/30 dark:border-white/30"
-                style={{ top: 0, left: 0 }}
-                initial={false}
-                animate={{ x: slotRect.x, y: slotRect.y, width: slotRect.w, height: slotRect.h, opacity: 1 }}
-                transition={SPRING}
-              />
+        {route.page === "articles" ? (
+          route.slug ? <ArticlePage slug={route.slug} t={t} locale={locale} /> : <ArticlesIndex t={t} locale={locale} />
+        ) : route.page === "resume" ? (
+          <ResumePage t={t} locale={locale} />
+        ) : (
+          <div ref={gridRef} className="relative">
+            {sharedView && (
+              <div role="status" className="mb-4 flex flex-wrap items-center gap-x-3 gap-y-2 text-sm">
+                <span className="opacity-70">{t("layout.shared")}</span>
+                <button type="button" onClick={() => leaveSharedView(true)} className="h-8 px-3 rounded-full font-semibold bg-black text-white dark:bg-white dark:text-black">
+                  {t("layout.keep")}
+                </button>
+                <button type="button" onClick={() => leaveSharedView(false)} className="font-semibold opacity-70 hover:opacity-100 hover:underline underline-offset-2">
+                  {t("layout.discard")}
+                </button>
+              </div>
             )}
-            {list.map((item) => {
-              const isHover = hoverId === item.id && draggingId !== item.id;
-              const isAbout = item.id === "about";
-              const rowSpan = isAbout && hoverAbout ? aboutRows : 2;
-              const preset = PRESETS[active] || [];
-              const isPrimary = active === "All" || item.group === active || preset.includes(item.id);
-              const isDimmed = active !== "All" && !isPrimary && draggingId !== item.id;
-              return (
-                <Reorder.Item
-                  key={item.id}
-                  value={item}
-                  layout
-                  drag={!lockdown}
-                  dragElastic={0.08}
-                  dragMomentum={false}
-                  dragConstraints={gridRef}
-                  onDragStart={() => { setDraggingId(item.id); if (item.id === "about") setHoverAbout(false); }}
-                  onDrag={(e, info) => setHoverId(nearestIdToPoint(info.point, item.id))}
-                  onDragEnd={() => { setDraggingId(null); setHoverId(null); setSlotRect(null); }}
-                  data-num={item.num} data-name={item.label}
-                  className={item.span}
-                  style={{ cursor: lockdown ? "default" : "grab", zIndex: draggingId === item.id ? 50 : 1, gridRowEnd: `span ${rowSpan}` }}
-                  transition={{ layout: SPRING }}
-                  whileDrag={{ scale: 1.03, rotate: 0, zIndex: 50, boxShadow: themeDark ? "0 28px 64px rgba(0,0,0,.6)" : "0 28px 64px rgba(0,0,0,.2)" }}
-                  ref={setNodeRef(item.id)}
-                  onMouseEnter={() => { if (item.id === 'about' && !lockdown && !draggingId) { setAboutRows(computeAboutRows()); setHoverAbout(true); } }}
-                  onMouseLeave={() => { if (item.id === 'about') { setHoverAbout(false); } }}
-                >
+            <TagFilterBar
+              groups={TAG_GROUPS}
+              selected={tagFilter}
+              match={tagMatch}
+              onToggle={toggleTagFilter}
+              onMatch={setTagMatch}
+              onClear={() => setTagFilter([])}
+              t={t}
+            />
+            <div className="sr-only" aria-live="polite">
+              {tagFilter.length ? t("grid.matches", { count: matchCount }) : ""}
+            </div>
+            <div
+              ref={groupRef}
+              className="grid grid-cols-6 sm:grid-cols-8 md:grid-cols-12 gap-4 sm:gap-5 md:gap-6 auto-rows-[96px] sm:auto-rows-[110px] md:auto-rows-[130px] lg:auto-rows-[150px]"
+            >
+              {/* Dashed animated placeholder */}
+              {draggingId && slotRect && (
+                <motion.div
+                  className="pointer-events-none absolute rounded-3xl border-2 border-dashed border-black/30 dark:border-white/30"
+                  style={{ top: 0, left: 0 }}
+                  initial={false}
+                  animate={{ x: slotRect.x, y: slotRect.y, width: slotRect.w, height: slotRect.h, opacity: 1 }}
+                  transition={layoutSpring}
+                />
+              )}
+              {list.map((item, index) => {
+                const isHover = hoverId === item.id && draggingId !== item.id;
+                const isAbout = item.id === ABOUT_ID;
+                // the dragged tile keeps its cell until dropped; everyone else follows the preview
+                const cell = (draggingId === item.id ? placement : preview).get(item.id);
+                const preset = PRESETS[active] || [];
+                const inTab = active === "All" || item.group === active || preset.includes(item.id);
+                const isPrimary = inTab && matchesTags(item, tagFilter, tagMatch);
+                const isDimmed = !isPrimary && draggingId !== item.id;
+                return (
                   <motion.div
-                    className={`w-full h-full ${isHover ? "ring-2 ring-dashed ring-black/30 dark:ring-white/40" : ""}`}
-                    animate={{
-                      filter: isDimmed ? "blur(2px) saturate(0.85) brightness(0.95)" : "none",
-                      opacity: isDimmed ? 0.4 : 1,
-                      scale: draggingId && draggingId !== item.id ? 0.997 : 1,
+                    key={item.id}
+                    layout
+                    drag={!lockdown}
+                    dragElastic={0.08}
+                    dragMomentum={false}
+                    dragSnapToOrigin
+                    dragConstraints={gridRef}
+                    onDragStart={() => {
+                      setDraggingId(item.id);
+                      if (isAbout) setHoverAbout(false);
+                      track("drag_start", { tile: item.id, from: index + 1, input: "pointer" });
+                    }}
+                    // the tile's own cell counts as a target, so dropping it back is a no-op
+                    onDrag={(e, info) => setHoverId(nearestIdToPoint(info.point, null))}
+                    onDragEnd={() => {
+                      const next = hoverId ? applyDrop(list, item.id, hoverId, sizes) : list;
+                      if (hoverId) handleReorder(next);
+                      track("drag_end", { tile: item.id, from: index + 1, to: next.findIndex((x) => x.id === item.id) + 1, input: "pointer" });
+                      setDraggingId(null); setHoverId(null); setSlotRect(null);
+                    }}
+                    data-num={item.num} data-name={item.label}
+                    tabIndex={0}
+                    aria-label={tileLabel(item, t)}
+                    aria-roledescription={t("grid.movable")}
+                    aria-describedby={lockdown ? undefined : "tile-move-help"}
+                    onKeyDown={(e) => handleTileKeyDown(e, item, index)}
+                    onBlur={(e) => { if (e.target === e.currentTarget && kbdPick?.id === item.id) endKbdPick(); }}
+                    className="relative group/tile rounded-3xl outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+                    style={{
+                      cursor: lockdown ? "default" : "grab",
+                      zIndex: draggingId === item.id ? 50 : 1,
+                      gridColumn: cell ? `${cell.x + 1} / span ${cell.w}` : undefined,
+                      gridRow: cell ? `${cell.y + 1} / span ${cell.h}` : undefined,
                     }}
-                    transition={{ duration: 0.25 }}
-                    whileHover={!lockdown && !isDimmed && !draggingId ? (item.id === "about" ? undefined : { scale: 1.005 }) : undefined}
+                    transition={{ layout: layoutSpring }}
+                    whileDrag={{ scale: 1.03, rotate: 0, zIndex: 50, boxShadow: tokens.dragShadow }}
+                    ref={setNodeRef(item.id)}
+                    onMouseEnter={() => { if (isAbout && !lockdown && !draggingId) { setAboutRows(computeAboutRows()); setHoverAbout(true); } }}
+                    onMouseLeave={() => { if (isAbout) { setHoverAbout(false); } }}
                   >
-                    <Card>
-                      {item.id === "themeCard" ? (
-                        <ThemeSwitcher onToggle={() => setThemeDark((d) => !d)} dark={themeDark} />
-                      ) : item.href ? (
-                        <SocialCard href={item.href} icon={item.icon} brand={item.label} dark={themeDark} />
-                      ) : (
-                        <>
-                        {item.id === "about" ? (
-                          <AboutCard />
-                        ) : item.id === "article" ? (
-                         <TechSolarSystem dark={themeDark} />
-
-
-                        ) : item.id === "projectTallA" ? (
-                          <ProjectArtA dark={themeDark} label={item.label} href={item.href} />
-                        ) : item.id === "projectTallB" ? (
-                          <ProjectArtB dark={themeDark} label={item.label} href={item.href} />
-                        ) : (
-                          <Accent>
-                            <div className="text-sm md:text-base text-current">{item.label}</div>
-                          </Accent>
-                        )}
-                      </>
-                      )}
-                    </Card>
+                    <motion.div
+                      layoutId={item.caseStudy ? `tile-${item.id}` : undefined}
+                      className={`w-full h-full rounded-3xl ${isHover ? "ring-2 ring-dashed ring-black/30 dark:ring-white/40" : ""} ${highlightId === item.id ? "ring-4 ring-sky-400/70" : ""}`}
+                      animate={{
+                        filter: isDimmed ? "blur(2px) saturate(0.85) brightness(0.95)" : "none",
+                        opacity: isDimmed ? 0.4 : 1,
+                        scale: draggingId && draggingId !== item.id ? 0.997 : 1,
+                      }}
+                      transition={{ duration: 0.25 }}
+                      whileHover={!lockdown && !isDimmed && !draggingId ? (isAbout ? undefined : { scale: 1.005 }) : undefined}
+                    >
+                      <Card>
+                        <TileContent item={item} tokens={tokens} reduced={reducedMotion} themeMode={themeMode} onThemeMode={chooseTheme} selectedSkills={selectedSkills} onToggleSkill={(name) => toggleTagFilter(tagKey("skill", name))} t={t} dir={dir} locale={locale} />
+                      </Card>
+                    </motion.div>
+                    {item.caseStudy && (
+                      <button
+                        type="button"
+                        onClick={() => openCaseStudy(item)}
+                        className="absolute end-3 top-3 z-10 h-8 px-3 rounded-full text-[13px] font-semibold bg-white/95 dark:bg-white/20 backdrop-blur-sm ring-1 ring-black/10 dark:ring-white/25 shadow-sm"
+                        style={{ color: tokens.text }}
+                        aria-label={t("grid.caseStudy", { title: item.caseStudy.title })}
+                      >
+                        {t("cmd.caseStudy")}
+                      </button>
+                    )}
+                    {!lockdown && !draggingId && cell && (
+                      <ResizeHandle
+                        label={tileLabel(item, t)}
+                        size={{ w: cell.w, h: cell.h }}
+                        limits={spanLimits(item, bp.cols)}
+                        getMetrics={measureGrid}
+                        onResize={(s) => { setResizing({ id: item.id, ...s }); if (isAbout) setHoverAbout(false); }}
+                        onCommit={(s) => commitSpan(item.id, s)}
+                        t={t}
+                        dir={dir}
+                      />
+                    )}
                   </motion.div>
-                </Reorder.Item>
-              );
-            })}
-          </Reorder.Group>
-        </div>
+                );
+              })}
+            </div>
+            <p id="tile-move-help" className="sr-only">{t("grid.moveHelp")}</p>
+            <div className="sr-only" aria-live="assertive" aria-atomic="true">{announcement}</div>
+          </div>
+        )}
       </main>
-    </motion.div>
+
+      <AnimatePresence>
+        {caseTile && <CaseStudyModal key={caseTile.id} tile={caseTile} tokens={tokens} reduced={reducedMotion} onClose={closeCaseStudy} t={t} />}
+      </AnimatePresence>
+      <AnimatePresence>
+        {paletteOpen && <CommandPalette commands={paletteCommands()} tokens={tokens} reduced={reducedMotion} t={t} onClose={() => setPaletteOpen(false)} />}
+      </AnimatePresence>
+    </div>
   );
 }
 
@@ -997,6 +1523,9 @@ function rowsNeeded(h, row, gap = 0) { return Math.max(2, Math.ceil((h + gap) /
 (function runTests() {
   try {
     console.assert(NAV.every((x) => typeof x === 'string'), 'NAV must be strings only');
+    console.assert(BASE_TILES.every((t) => TILE_TYPES[t.type]), 'Every tile type must be registered');
+    console.assert(Object.keys(TILE_TYPES).join() === TILE_TYPE_NAMES.join(), 'tileTypes.js lists exactly the registered renderers');
+    console.assert(Object.values(PRESETS).flat().every((id) => BASE_TILES.some((t) => t.id === id)), 'Presets must reference known tiles');
 
     const sampleOrder = [
       { id: 'a', group: 'About' },
@@ -0,0 +1,123 @@
+import { PROFILE, SKILLS, PROJECTS, EXPERIENCE, TILES, profileLinks } from "./tiles";
+import { buildResume, dateRange, displayUrl } from "./resume";
+import { translator } from "./i18n";
+
+// -------------------------------------------------------------
+// Résumé
+// - Resume: the CV itself, plain semantic markup so it prints cleanly
+//   (src/print.css) and renders without JS as dist/resume.html
+//   (scripts/prerender.js).
+// - ResumePage: the in-app page at #/resume, with a print / save-as-PDF
+//   toolbar that is hidden on paper.
+// - The static file only exists in a build, so its link is left out in dev.
+// - Headings and dates follow the UI locale; resume.html is English.
+// -------------------------------------------------------------
+
+const RESUME = buildResume({
+  profile: PROFILE,
+  skills: SKILLS,
+  projects: PROJECTS,
+  experience: EXPERIENCE,
+  links: profileLinks(TILES),
+});
+
+function Section({ title, children }) {
+  return (
+    <section className="resume-section mt-8">
+      <h2 className="text-xs font-bold uppercase tracking-[0.2em] opacity-60 border-b border-black/10 dark:border-white/15 pb-1">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+// `site` (absolute URL) is listed first in the contact line when given
+export function Resume({ site = null, t = translator("en"), locale = "en" }) {
+  const links = site ? [{ label: t("resume.website"), href: site, text: displayUrl(site) }, ...RESUME.links] : RESUME.links;
+  return (
+    <article className="resume max-w-3xl mx-auto text-start">
+      <header>
+        <h1 className="text-3xl sm:text-4xl font-black tracking-tight">{RESUME.name}</h1>
+        <p className="mt-1 text-lg font-semibold opacity-80">{RESUME.jobTitle}</p>
+        {links.length > 0 && (
+          <ul className="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-sm">
+            {links.map((l) => (
+              <li key={l.href}>
+                <span className="sr-only">{l.label}: </span>
+                <a href={l.href} className="underline underline-offset-2">{l.text}</a>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="mt-4 leading-relaxed">{RESUME.summary}</p>
+      </header>
+
+      {RESUME.experience.length > 0 && (
+        <Section title={t("resume.experience")}>
+          {RESUME.experience.map((e) => (
+            <div key={e.id} className="resume-entry mt-4">
+              <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+                <h3 className="font-bold">{e.role} · <span className="font-semibold">{e.company}</span></h3>
+                <p className="text-sm opacity-70 tabular-nums">{dateRange(e.start, e.end, locale)}{e.location && ` · ${e.location}`}</p>
+              </div>
+              <div className="content-prose text-sm" dangerouslySetInnerHTML={{ __html: e.html }} />
+            </div>
+          ))}
+        </Section>
+      )}
+
+      {RESUME.projects.length > 0 && (
+        <Section title={t("resume.projects")}>
+          {RESUME.projects.map((p) => (
+            <div key={p.id} className="resume-entry mt-4">
+              <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+                <h3 className="font-bold">{p.title}</h3>
+                {p.year && <p className="text-sm opacity-70 tabular-nums">{p.year}</p>}
+              </div>
+              {p.summary && <p className="mt-1 text-sm leading-relaxed">{p.summary}</p>}
+              {p.metrics.length > 0 && <p className="mt-1 text-sm opacity-80">{p.metrics.join(" · ")}</p>}
+              {p.stack.length > 0 && <p className="mt-1 text-xs opacity-60">{p.stack.join(", ")}</p>}
+            </div>
+          ))}
+        </Section>
+      )}
+
+      {RESUME.skills.length > 0 && (
+        <Section title={t("resume.skills")}>
+          <ul className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-x-6 gap-y-1 text-sm">
+            {RESUME.skills.map((s) => (
+              <li key={s.name}>
+                <span className="font-semibold">{s.name}</span>
+                {s.detail && <span className="opacity-60"> · {s.detail}</span>}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+    </article>
+  );
+}
+
+export function ResumePage({ t, locale }) {
+  return (
+    <>
+      <div className="max-w-3xl mx-auto mb-8 flex flex-wrap items-center justify-between gap-3 print:hidden">
+        <a href="#/about" className="text-sm font-semibold opacity-70 hover:opacity-100">{t("resume.back")}</a>
+        <div className="flex gap-2">
+          {!import.meta.env.DEV && (
+            <a href={`${import.meta.env.BASE_URL}resume.html`} target="_blank" rel="noopener noreferrer" className="px-4 py-2 rounded-full text-sm font-semibold ring-1 ring-black/10 dark:ring-white/20 hover:bg-black/5 dark:hover:bg-white/10">
+              {t("resume.printReady")}
+            </a>
+          )}
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="px-4 py-2 rounded-full text-sm font-semibold bg-black text-white dark:bg-white dark:text-black"
+          >
+            {t("resume.print")}
+          </button>
+        </div>
+      </div>
+      <Resume t={t} locale={locale} />
+    </>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { tagLabel } from "./tags";
+
+// --- Tag filter bar ---
+// Selected tags stay visible as removable chips; "Filter" opens every tag,
+// grouped by kind. With two or more tags, Any / All switches OR / AND matching.
+export default function TagFilterBar({ groups, selected, match, onToggle, onMatch, onClear, t }) {
+  const [open, setOpen] = useState(false);
+  const chip = "inline-flex items-center gap-1.5 rounded-full font-semibold ring-1 transition";
+  const on = "bg-black text-white ring-black dark:bg-white dark:text-black dark:ring-white";
+  const off = "ring-black/10 dark:ring-white/20 hover:bg-black/5 dark:hover:bg-white/10";
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          aria-expanded={open}
+          aria-controls="tag-filter-panel"
+          onClick={() => setOpen((o) => !o)}
+          className={`${chip} h-8 px-3 ${off}`}
+        >
+          {t("filter.button")}{selected.length ? ` (${selected.length})` : ""} <span aria-hidden="true">{open ? "▴" : "▾"}</span>
+        </button>
+        {selected.map((key) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => onToggle(key)}
+            className={`${chip} h-8 px-3 ${on}`}
+            aria-label={t("filter.remove", { tag: tagLabel(key) })}
+          >
+            {tagLabel(key)} <span aria-hidden="true">✕</span>
+          </button>
+        ))}
+        {selected.length > 1 && (
+          <div role="group" aria-label={t("filter.match")} className="inline-flex p-0.5 rounded-full ring-1 ring-black/10 dark:ring-white/20">
+            {["any", "all"].map((mode) => (
+              <button
+                key={mode}
+                type="button"
+                aria-pressed={match === mode}
+                onClick={() => onMatch(mode)}
+                title={t(`filter.${mode}Title`)}
+                className={`h-7 px-3 rounded-full text-xs font-semibold ${match === mode ? on : ""}`}
+              >
+                {t(`filter.${mode}`)}
+              </button>
+            ))}
+          </div>
+        )}
+        {selected.length > 0 && (
+          <button type="button" onClick={onClear} className="font-semibold opacity-70 hover:opacity-100 hover:underline underline-offset-2">
+            {t("filter.clear")}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div id="tag-filter-panel" className="mt-3 space-y-2">
+          {groups.map((g) => (
+            <div key={g.kind} role="group" aria-label={t(`tags.${g.kind}`, null, g.label)} className="flex flex-wrap items-center gap-1.5">
+              <span className="w-16 text-xs uppercase tracking-wider opacity-60">{t(`tags.${g.kind}`, null, g.label)}</span>
+              {g.tags.map((tag) => {
+                const pressed = selected.includes(tag.key);
+                return (
+                  <button
+                    key={tag.key}
+                    type="button"
+                    aria-pressed={pressed}
+                    onClick={() => onToggle(tag.key)}
+                    className={`${chip} h-7 px-2.5 text-xs ${pressed ? on : off}`}
+                  >
+                    {tag.value}
+                    <span className="opacity-60" aria-label={t("filter.tiles", { count: tag.count })}>{tag.count}</span>
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+// -------------------------------------------------------------
+// Interaction analytics
+// - track(name, props) records one event: { name, props, path, ts }. No
+//   cookies, storage or visitor ids; the query string (layout links, tag
+//   filters) is left out of `path`.
+// - Nothing is recorded when the browser asks not to be tracked
+//   (Do-Not-Track or Global Privacy Control), during prerendering, or when
+//   no sink is configured.
+// - Every sink is { name, send(event) }. VITE_ANALYTICS lists them,
+//   comma-separated (dev defaults to "console"):
+//   - console: logs each event.
+//   - beacon: POSTs the event to VITE_ANALYTICS_URL with sendBeacon
+//     (`npm run analytics:collect` runs a local collector, the dev default).
+//   - plausible: Plausible's Events API for VITE_PLAUSIBLE_DOMAIN;
+//     VITE_PLAUSIBLE_URL points it at a self-hosted (or the local) server.
+// - Events: tab, theme, lock, drag_start, drag_end, outbound.
+// -------------------------------------------------------------
+
+const env = import.meta.env || {};
+const PLAUSIBLE_URL = "https://plausible.io/api/event";
+
+const SINK_NAMES = String(env.VITE_ANALYTICS ?? (env.DEV ? "console" : ""))
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const SINK_OPTIONS = {
+  beacon: { url: env.VITE_ANALYTICS_URL || (env.DEV ? "http://localhost:8788/events" : undefined) },
+  plausible: { domain: env.VITE_PLAUSIBLE_DOMAIN, url: env.VITE_PLAUSIBLE_URL || PLAUSIBLE_URL },
+};
+
+// Do-Not-Track / Global Privacy Control; no browser counts as "don't"
+export function doNotTrack(nav = globalThis.navigator, win = globalThis.window) {
+  if (!nav || !win) return true;
+  if (nav.globalPrivacyControl === true) return true;
+  return [nav.doNotTrack, win.doNotTrack, nav.msDoNotTrack].some((v) => v === "1" || v === "yes");
+}
+
+// Fire-and-forget POST that survives page unloads. text/plain keeps
+// cross-origin requests free of a CORS preflight; collectors parse the JSON.
+function post(url, body) {
+  const blob = new Blob([JSON.stringify(body)], { type: "text/plain" });
+  if (navigator.sendBeacon?.(url, blob)) return;
+  fetch(url, { method: "POST", body: blob, keepalive: true, mode: "no-cors" }).catch(() => {});
+}
+
+// Event -> Plausible Events API body (props must be flat scalars)
+export function plausibleEvent(event, { domain, origin }) {
+  const props = Object.fromEntries(Object.entries(event.props).filter(([, v]) => ["string", "number", "boolean"].includes(typeof v)));
+  return { name: event.name, url: origin + event.path, domain, props };
+}
+
+export function consoleSink() {
+  return {
+    name: "console",
+    send(event) {
+      console.info(`[analytics] ${event.name}`, event.props);
+    },
+  };
+}
+
+export function beaconSink({ url }) {
+  if (!url) throw new Error("beacon sink needs a url");
+  return {
+    name: "beacon",
+    send(event) {
+      post(url, event);
+    },
+  };
+}
+
+export function plausibleSink({ domain, url = PLAUSIBLE_URL }) {
+  if (!domain) throw new Error("plausible sink needs a domain");
+  return {
+    name: "plausible",
+    send(event) {
+      post(url, plausibleEvent(event, { domain, origin: window.location.origin }));
+    },
+  };
+}
+
+const SINKS = {
+  console: consoleSink,
+  beacon: beaconSink,
+  plausible: plausibleSink,
+};
+
+// Sinks by name; a misconfigured one is skipped so tracking never breaks the page
+export function createSinks(names, options = {}) {
+  return names.flatMap((name) => {
+    try {
+      const make = SINKS[name];
+      if (!make) throw new Error(`unknown sink (expected ${Object.keys(SINKS).join(", ")})`);
+      return [make(options[name] || {})];
+    } catch (e) {
+      console.warn(`Analytics sink "${name}" disabled:`, e.message);
+      return [];
+    }
+  });
+}
+
+export function createAnalytics(sinks = [], { enabled = true, location = globalThis.location, now = Date.now } = {}) {
+  const active = enabled ? sinks : [];
+  return {
+    enabled: active.length > 0,
+    // The recorded event, or null when nothing was sent
+    track(name, props = {}) {
+      if (!active.length) return null;
+      const event = { name, props, path: location ? location.pathname + location.hash : "/", ts: now() };
+      for (const sink of active) {
+        try {
+          sink.send(event);
+        } catch (e) {
+          console.warn(`Analytics sink "${sink.name}" failed:`, e);
+        }
+      }
+      return event;
+    },
+  };
+}
+
+// App-wide instance, set up on the first event in a browser
+let analytics = null;
+export function track(name, props) {
+  if (typeof window === "undefined") return null;
+  analytics ??= createAnalytics(createSinks(SINK_NAMES, SINK_OPTIONS), { enabled: !doNotTrack() });
+  return analytics.track(name, props);
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const win = {};
+    console.assert(doNotTrack({ doNotTrack: "1" }, win) && doNotTrack({ globalPrivacyControl: true }, win) && !doNotTrack({ doNotTrack: "0" }, win), "DNT and GPC opt out");
+    console.assert(doNotTrack(undefined, undefined), "No browser, no tracking");
+
+    const seen = [];
+    const sinks = [{ name: "memory", send: (e) => seen.push(e) }];
+    const location = { pathname: "/", hash: "#/projects", search: "?layout=abc" };
+    const a = createAnalytics(sinks, { location, now: () => 42 });
+    const event = a.track("tab", { from: "All", to: "Projects" });
+    console.assert(seen.length === 1 && event.path === "/#/projects" && event.ts === 42, "Events reach the sinks, without the query string");
+    console.assert(createAnalytics(sinks, { enabled: false, location }).track("tab") === null && seen.length === 1, "Opted-out visitors send nothing");
+
+    const p = plausibleEvent({ name: "outbound", path: "/#/", props: { url: "https://github.com", nested: { x: 1 } } }, { domain: "example.com", origin: "https://example.com" });
+    console.assert(p.url === "https://example.com/#/" && p.domain === "example.com" && !("nested" in p.props), "Plausible events carry flat props");
+    console.assert(createSinks(["console", "beacon"], { beacon: { url: "/events" } }).map((x) => x.name).join() === "console,beacon", "Sinks are built from their names");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
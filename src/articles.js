@@ -0,0 +1,13 @@
+import content from "virtual:content";
+
+// Articles from content/articles/*.md, newest first (sorted by the content plugin)
+export const ARTICLES = content.articles || [];
+
+export function findArticle(slug) {
+  return ARTICLES.find((a) => a.slug === slug) || null;
+}
+
+// "2024-05-01" -> "May 1, 2024" (in the UI locale)
+export function formatDate(iso, locale = "en") {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString(locale, { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+}
@@ -0,0 +1,134 @@
+// -------------------------------------------------------------
+// Chart data + scales for DataChart
+// - A chart spec is { x, series: [{ key, type, label?, color? }], data | src, title? }:
+//   `data` is inline rows, `src` a .csv or .json file under public/.
+// - x values are categories, spaced evenly; y is linear and starts at 0
+//   unless the data goes below it.
+// - Series types: "line", "bar", "area". Bars of several series sit side by side.
+// -------------------------------------------------------------
+
+export const SERIES_TYPES = ["line", "bar", "area"];
+
+// Header row + quoted fields ("a, b" and "" escapes). Numeric cells become numbers.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/\r\n?/g, "\n");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n") { row.push(cell); rows.push(row); row = []; cell = ""; }
+    else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  const [header = [], ...body] = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  const keys = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, toValue(r[i])])));
+}
+
+function toValue(raw) {
+  const v = (raw ?? "").trim();
+  return v !== "" && Number.isFinite(Number(v)) ? Number(v) : v;
+}
+
+// Fills in labels / types and drops series the rows don't have.
+// Returns null when nothing can be drawn.
+export function normalizeSpec(spec, rows, palette) {
+  if (!spec || !Array.isArray(rows) || !rows.length) return null;
+  const x = spec.x || Object.keys(rows[0])[0];
+  const series = (spec.series || [])
+    .map((s) => (typeof s === "string" ? { key: s } : s))
+    .filter((s) => s && rows.some((r) => Number.isFinite(r[s.key])))
+    .map((s, i) => ({
+      key: s.key,
+      type: SERIES_TYPES.includes(s.type) ? s.type : "line",
+      label: s.label || s.key,
+      color: s.color || palette[i % palette.length],
+    }));
+  return series.length ? { x, series, title: spec.title || null } : null;
+}
+
+// Round step (1, 2 or 5 × 10^n) giving about `count` intervals
+export function niceTicks(min, max, count = 4) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [0, 1];
+  if (min === max) max = min === 0 ? 1 : min + Math.abs(min);
+  const raw = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const err = raw / mag;
+  const step = (err >= 7.07 ? 10 : err >= 3.16 ? 5 : err >= 1.41 ? 2 : 1) * mag;
+  // whole multiples of `step`, rounded to its precision (0.6, not 0.6000000000000001)
+  const digits = Math.max(0, -Math.floor(Math.log10(step)));
+  const ticks = [];
+  for (let k = Math.floor(min / step); k <= Math.ceil(max / step); k++) ticks.push(Number((k * step).toFixed(digits)));
+  return ticks;
+}
+
+const compact = new Intl.NumberFormat("en", { notation: "compact", maximumFractionDigits: 1 });
+export const formatValue = (v) => (typeof v === "number" ? compact.format(v) : String(v ?? ""));
+
+// Everything DataChart draws, in `width` × `height` SVG units
+export function layoutChart(rows, { x, series }, { width = 200, height = 200, margin = { top: 12, right: 8, bottom: 20, left: 26 } } = {}) {
+  const plot = { left: margin.left, top: margin.top, right: width - margin.right, bottom: height - margin.bottom };
+  const values = rows.flatMap((r) => series.map((s) => r[s.key])).filter(Number.isFinite);
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const lo = ticks[0];
+  const hi = ticks[ticks.length - 1];
+  const y = (v) => plot.bottom - ((v - lo) / (hi - lo)) * (plot.bottom - plot.top);
+  const band = (plot.right - plot.left) / rows.length;
+  const cx = (i) => plot.left + band * (i + 0.5);
+
+  const bars = series.filter((s) => s.type === "bar");
+  const barW = Math.min(14, (band * 0.7) / Math.max(1, bars.length));
+  const zero = y(Math.max(lo, 0));
+
+  const shapes = series.map((s) => {
+    const pts = rows.map((r, i) => (Number.isFinite(r[s.key]) ? { i, x: cx(i), y: y(r[s.key]), value: r[s.key] } : null)).filter(Boolean);
+    if (s.type === "bar") {
+      const slot = bars.indexOf(s);
+      const offset = (slot - (bars.length - 1) / 2) * barW;
+      return { ...s, bars: pts.map((p) => ({ ...p, x: p.x + offset - barW / 2, w: barW, top: Math.min(p.y, zero), h: Math.abs(zero - p.y) })) };
+    }
+    const line = pts.length ? "M " + pts.map((p) => `${round(p.x)} ${round(p.y)}`).join(" L ") : "";
+    const area = s.type === "area" && pts.length ? `${line} L ${round(pts[pts.length - 1].x)} ${round(zero)} L ${round(pts[0].x)} ${round(zero)} Z` : null;
+    return { ...s, points: pts, line, area };
+  });
+
+  // at most ~6 x labels, always keeping the first
+  const every = Math.ceil(rows.length / 6);
+  const xLabels = rows.map((r, i) => ({ i, x: cx(i), text: String(r[x]) })).filter(({ i }) => i % every === 0);
+  const yTicks = ticks.map((v) => ({ v, y: y(v), text: formatValue(v) }));
+  return { plot, band, cx, zero, shapes, xLabels, yTicks };
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Index of the category under an x position (SVG units)
+export function indexAt(px, plot, count) {
+  const i = Math.floor(((px - plot.left) / (plot.right - plot.left)) * count);
+  return Math.max(0, Math.min(count - 1, i));
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const rows = parseCsv('month,runs,"note, quoted"\n2024-01,10,"a ""b"""\n2024-02,25,\n');
+    console.assert(rows.length === 2 && rows[0].runs === 10 && rows[0]["note, quoted"] === 'a "b"', "CSV parses quotes and numbers");
+    console.assert(niceTicks(0, 87).join() === "0,20,40,60,80,100", "Ticks use round steps");
+    console.assert(niceTicks(0, 0).join() === "0,0.2,0.4,0.6,0.8,1", "Flat data still gets an axis");
+    const spec = normalizeSpec({ x: "month", series: [{ key: "runs", type: "bar" }, "missing"] }, rows, ["#111"]);
+    console.assert(spec.series.length === 1 && spec.series[0].color === "#111", "Unknown series are dropped, colours filled in");
+    const l = layoutChart(rows, spec);
+    const [b0, b1] = l.shapes[0].bars;
+    console.assert(b1.h > b0.h && Math.abs(b0.top + b0.h - l.zero) < 1e-9, "Bars grow up from zero");
+    console.assert(indexAt(l.plot.right - 1, l.plot, 2) === 1 && indexAt(-50, l.plot, 2) === 0, "indexAt clamps to the data");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
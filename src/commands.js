@@ -0,0 +1,85 @@
+// -------------------------------------------------------------
+// Command palette search + history (CommandPalette.jsx)
+// - A command is { id, title, group, keywords?, run }.
+// - fuzzyMatch() is a subsequence match: every query character must appear
+//   in order. Word starts and consecutive runs score higher.
+// - Recently run command ids are kept in localStorage (RECENT_KEY).
+// -------------------------------------------------------------
+
+export const RECENT_KEY = "portfolio:commands:recent";
+export const RECENT_LIMIT = 5;
+
+const isWordStart = (text, i) => i === 0 || /[\s\-_/:·(]/.test(text[i - 1]);
+
+// { score, indices } or null. Higher scores are better matches.
+export function fuzzyMatch(query, text) {
+  const q = query.trim().toLowerCase();
+  if (!q) return { score: 0, indices: [] };
+  const t = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    if (ch === " ") continue;
+    const i = t.indexOf(ch, from);
+    if (i === -1) return null;
+    const prev = indices[indices.length - 1];
+    score += 1;
+    if (prev === i - 1) score += 3; // consecutive
+    if (isWordStart(text, i)) score += 4;
+    indices.push(i);
+    from = i + 1;
+  }
+  // tighter spans and earlier matches win ties
+  score -= (indices[indices.length - 1] - indices[0]) * 0.05 + indices[0] * 0.02;
+  return { score, indices };
+}
+
+// Best match on the title, or (scored lower, no highlight) on a keyword
+export function searchCommands(commands, query) {
+  if (!query.trim()) return commands.map((command) => ({ command, indices: [] }));
+  const out = [];
+  for (const command of commands) {
+    const title = fuzzyMatch(query, command.title);
+    let best = title ? { score: title.score, indices: title.indices } : null;
+    for (const kw of command.keywords || []) {
+      const m = fuzzyMatch(query, kw);
+      if (m && (!best || m.score - 2 > best.score)) best = { score: m.score - 2, indices: [] };
+    }
+    if (best) out.push({ command, ...best });
+  }
+  return out.sort((a, b) => b.score - a.score);
+}
+
+export function loadRecent() {
+  try {
+    const ids = JSON.parse(window.localStorage.getItem(RECENT_KEY) || "[]");
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === "string").slice(0, RECENT_LIMIT) : [];
+  } catch {
+    return []; // storage disabled or unreadable
+  }
+}
+
+export function pushRecent(recent, id) {
+  const next = [id, ...recent.filter((r) => r !== id)].slice(0, RECENT_LIMIT);
+  try {
+    window.localStorage.setItem(RECENT_KEY, JSON.stringify(next));
+  } catch {
+    // history is best-effort
+  }
+  return next;
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(fuzzyMatch("gh", "Open GitHub") !== null && fuzzyMatch("xz", "Open GitHub") === null, "Subsequence matching");
+    console.assert(fuzzyMatch("pro", "Go to Projects").score > fuzzyMatch("pro", "Reset layout properly").score - 10, "Scores are numbers");
+    console.assert(fuzzyMatch("gp", "Go to Projects").score > fuzzyMatch("gp", "Changing properly").score, "Word starts score higher");
+    const cmds = [{ id: "a", title: "Go to About" }, { id: "p", title: "Streaming platform", keywords: ["Kafka"] }];
+    console.assert(searchCommands(cmds, "kafka")[0]?.command.id === "p", "Keywords are searched too");
+    console.assert(searchCommands(cmds, "").length === 2, "An empty query lists everything");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
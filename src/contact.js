@@ -0,0 +1,145 @@
+import { validateEmail } from "./newsletter";
+import { translator } from "./i18n";
+
+// -------------------------------------------------------------
+// Contact form handlers and spam checks (ContactTile)
+// - Every handler is { name, send({ name, email, message }) => Promise<void> }
+//   and throws ContactError on failure. Its `code` picks the translated
+//   message ("contact.error.<code>"); `message` is the English one.
+// - endpoint: POST JSON to a serverless function (template in
+//   functions/contact.js; `npm run contact:stub` runs it locally).
+// - mailto: opens the visitor's mail app with the message filled in. It is
+//   also the fallback when the endpoint isn't configured or can't be reached.
+// - Spam: a honeypot field, a minimum time between the form appearing and
+//   submit (MIN_FILL_MS), and RATE_LIMIT sends per browser, kept in
+//   localStorage. The function repeats the field checks, the honeypot and
+//   (per IP) the rate limit server-side; the fill time is browser-only.
+// -------------------------------------------------------------
+
+export class ContactError extends Error {
+  constructor(message, { code = "failed", cause } = {}) {
+    super(message);
+    this.name = "ContactError";
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+export const LIMITS = { name: 100, message: 5000 };
+export const MIN_FILL_MS = 3000;
+export const RATE_LIMIT = { max: 3, windowMs: 60 * 60 * 1000 };
+const SENT_KEY = "portfolio:contact:sent";
+
+// Field -> message for every invalid field, or null when the form is fine
+export function validateContact({ name, email, message }, t = translator("en")) {
+  const errors = {};
+  const n = String(name || "").trim();
+  const m = String(message || "").trim();
+  if (!n) errors.name = t("contact.nameMissing");
+  else if (n.length > LIMITS.name) errors.name = t("contact.nameLong", { max: LIMITS.name });
+  const e = validateEmail(email, t);
+  if (e) errors.email = e;
+  if (m.length < 10) errors.message = t("contact.messageShort", { min: 10 });
+  else if (m.length > LIMITS.message) errors.message = t("contact.messageLong", { max: LIMITS.message });
+  return Object.keys(errors).length ? errors : null;
+}
+
+// Faster than a person can fill the form in: almost certainly a bot
+export function tooFast(startedAt, now = Date.now()) {
+  return startedAt == null || now - startedAt < MIN_FILL_MS;
+}
+
+// ms until another send is allowed (0 = now), given earlier send times
+export function rateLimitWait(sent, now = Date.now(), { max, windowMs } = RATE_LIMIT) {
+  const recent = sent.filter((t) => now - t < windowMs).sort((a, b) => a - b);
+  return recent.length < max ? 0 : recent[recent.length - max] + windowMs - now;
+}
+
+export function loadSent() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SENT_KEY) || "[]");
+    return Array.isArray(list) ? list.filter(Number.isFinite) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function recordSent(now = Date.now()) {
+  const list = [...loadSent().filter((t) => now - t < RATE_LIMIT.windowMs), now];
+  try { localStorage.setItem(SENT_KEY, JSON.stringify(list)); } catch { /* in-memory only */ }
+  return list;
+}
+
+export function mailtoHref({ to, name, email, message }) {
+  const params = new URLSearchParams({ subject: `Message from ${name}`, body: `${message}\n\n— ${name} <${email}>` });
+  // mail apps expect %20, not "+", for spaces
+  return `mailto:${to}?${params.toString().replace(/\+/g, "%20")}`;
+}
+
+export function endpointHandler({ url }) {
+  if (!url) throw new Error("endpoint handler needs a url");
+  return {
+    name: "endpoint",
+    async send(payload) {
+      let res;
+      try {
+        res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+        });
+      } catch (e) {
+        throw new ContactError("Couldn't reach the server.", { code: "network", cause: e });
+      }
+      if (res.status === 429) throw new ContactError("Too many messages — please try again later.", { code: "rate_limited" });
+      if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        throw new ContactError(body?.error || "Sending failed.", { code: `http_${res.status}` });
+      }
+    },
+  };
+}
+
+export function mailtoHandler({ to }) {
+  if (!to) throw new Error("mailto handler needs a `to` address");
+  return {
+    name: "mailto",
+    async send({ name, email, message }) {
+      window.location.href = mailtoHref({ to, name, email, message });
+    },
+  };
+}
+
+const HANDLERS = {
+  endpoint: endpointHandler,
+  mailto: mailtoHandler,
+};
+
+// The configured handler, else mailto when there's an address to write to
+export function createContactHandler(provider = "endpoint", options = {}) {
+  const make = HANDLERS[provider];
+  if (!make) throw new Error(`Unknown contact provider "${provider}" (expected ${Object.keys(HANDLERS).join(", ")})`);
+  try {
+    return make(options);
+  } catch (e) {
+    if (provider !== "mailto" && options.to) return mailtoHandler(options);
+    throw e;
+  }
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(validateContact({ name: "Ada", email: "ada@example.com", message: "Hello there, nice site!" }) === null, "A complete form passes");
+    const errors = validateContact({ name: "", email: "nope", message: "hi" });
+    console.assert(errors.name && errors.email && errors.message, "Each bad field gets its own message");
+    console.assert(tooFast(1000, 2000) && !tooFast(1000, 1000 + MIN_FILL_MS), "Instant submits are caught");
+    const now = 10 * RATE_LIMIT.windowMs;
+    console.assert(rateLimitWait([now - 3, now - 2], now) === 0, "Under the limit sends right away");
+    console.assert(rateLimitWait([now - 3, now - 2, now - 1], now) === RATE_LIMIT.windowMs - 3, "Over the limit waits for the oldest send to expire");
+    console.assert(createContactHandler("endpoint", { to: "me@example.com" }).name === "mailto", "No endpoint falls back to mailto");
+    console.assert(mailtoHref({ to: "me@example.com", name: "A B", email: "a@b.co", message: "x" }).startsWith("mailto:me@example.com?subject=Message%20from%20A%20B"), "mailto links are encoded");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
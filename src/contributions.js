@@ -0,0 +1,62 @@
+// -------------------------------------------------------------
+// GitHub contribution heatmap helpers (GitHubActivity)
+// - Days come from the build-time snapshot (virtual:github).
+// - Columns are weeks starting on Sunday, like github.com.
+// - Levels 0..4 split the non-zero days into quartiles, so a quiet year
+//   and a busy one both use the whole scale.
+// -------------------------------------------------------------
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const weekday = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+
+// [[{ date, count, weekday } | null x7], ...] padded so every column is a full week
+export function heatmapWeeks(days) {
+  const weeks = [];
+  let week = null;
+  for (const d of [...days].sort((a, b) => a.date.localeCompare(b.date))) {
+    const wd = weekday(d.date);
+    if (!week || wd === 0) weeks.push((week = Array(7).fill(null)));
+    week[wd] = { ...d, weekday: wd };
+  }
+  return weeks;
+}
+
+// count -> 0..4
+export function levelScale(days) {
+  const counts = days.map((d) => d.count).filter((c) => c > 0).sort((a, b) => a - b);
+  if (!counts.length) return () => 0;
+  const q = [0.25, 0.5, 0.75].map((p) => counts[Math.floor(p * (counts.length - 1))]);
+  return (c) => (c <= 0 ? 0 : c <= q[0] ? 1 : c <= q[1] ? 2 : c <= q[2] ? 3 : 4);
+}
+
+// Month names over the first week that starts in each month
+export function monthLabels(weeks) {
+  const out = [];
+  weeks.forEach((w, i) => {
+    const first = w.find(Boolean);
+    if (!first) return;
+    const m = Number(first.date.slice(5, 7)) - 1;
+    if (!out.length || out[out.length - 1].month !== m) out.push({ week: i, month: m, text: MONTHS[m] });
+  });
+  // the first column is usually a partial month; drop its label if the next one is close
+  return out.length > 1 && out[1].week - out[0].week < 3 ? out.slice(1) : out;
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const days = [
+      { date: "2026-03-06", count: 0 }, // Friday
+      { date: "2026-03-07", count: 2 },
+      { date: "2026-03-08", count: 9 }, // Sunday -> new column
+    ];
+    const weeks = heatmapWeeks(days);
+    console.assert(weeks.length === 2 && weeks[0][5].count === 0 && weeks[1][0].count === 9, "Weeks start on Sunday");
+    const level = levelScale([{ count: 1 }, { count: 2 }, { count: 3 }, { count: 10 }, { count: 0 }]);
+    console.assert(level(0) === 0 && level(1) === 1 && level(10) === 4, "Levels span the non-zero days");
+    console.assert(monthLabels(weeks)[0].text === "Mar", "Months label their first week");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
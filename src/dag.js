@@ -0,0 +1,198 @@
+// -------------------------------------------------------------
+// Pipeline DAGs for PipelineDiagram
+// - Native spec: { nodes: [{ id, label?, type }], edges: [[from, to] | { from, to }] }
+//   with type one of NODE_TYPES (picks the icon).
+// - importDag() also reads
+//     Airflow: { tasks: [{ task_id, downstream_task_ids, operator_name | class_ref }] }
+//              (GET /api/v1/dags/<id>/tasks)
+//     dbt:     manifest.json ({ nodes, sources, exposures } keyed by unique_id)
+// - layoutDag() places nodes left to right by longest path from a root and
+//   orders each column by the average position of its parents.
+// -------------------------------------------------------------
+
+export const NODE_TYPES = ["source", "transform", "warehouse", "sink"];
+
+// Operator name -> node type for Airflow tasks
+const AIRFLOW_TYPES = [
+  [/sensor|ftp|http|s3|gcs|transfer|extract|ingest/i, "source"],
+  [/bigquery|snowflake|redshift|postgres|mysql|sql|warehouse|load/i, "warehouse"],
+  [/email|slack|notify|tableau|looker|dashboard|report/i, "sink"],
+];
+
+function airflowType(task) {
+  const op = task.operator_name || task.class_ref?.class_name || task.task_type || "";
+  const hit = AIRFLOW_TYPES.find(([re]) => re.test(op) || re.test(task.task_id));
+  return hit ? hit[1] : "transform";
+}
+
+export function fromAirflow({ tasks }) {
+  return {
+    nodes: tasks.map((t) => ({ id: t.task_id, label: t.task_id, type: airflowType(t) })),
+    edges: tasks.flatMap((t) => (t.downstream_task_ids || []).map((to) => [t.task_id, to])),
+  };
+}
+
+// Marts (fct_/dim_ or a "marts" folder) are what the warehouse serves
+function dbtType(node) {
+  if (node.resource_type === "source" || node.resource_type === "seed") return "source";
+  if (node.resource_type === "exposure") return "sink";
+  if (/^(fct|dim)_/.test(node.name) || (node.fqn || []).includes("marts")) return "warehouse";
+  return "transform";
+}
+
+export function fromDbt(manifest) {
+  const all = { ...manifest.sources, ...manifest.nodes, ...manifest.exposures };
+  const keep = Object.entries(all).filter(([, n]) => ["source", "seed", "model", "snapshot", "exposure"].includes(n.resource_type));
+  const ids = new Set(keep.map(([id]) => id));
+  return {
+    nodes: keep.map(([id, n]) => ({
+      id,
+      label: n.resource_type === "source" ? `${n.source_name}.${n.name}` : n.label || n.name,
+      type: dbtType(n),
+    })),
+    edges: keep.flatMap(([id, n]) => (n.depends_on?.nodes || []).filter((d) => ids.has(d)).map((d) => [d, id])),
+  };
+}
+
+export function importDag(json) {
+  if (!json || typeof json !== "object") return null;
+  if (Array.isArray(json.tasks)) return fromAirflow(json);
+  if (json.nodes && !Array.isArray(json.nodes)) return fromDbt(json);
+  if (Array.isArray(json.nodes)) return json;
+  return null;
+}
+
+// Drops unknown / duplicate nodes, dangling edges and the back edges of one
+// depth-first pass (nodes and edges in the order given), which leaves the
+// graph acyclic in O(nodes + edges). Returns null when there's nothing to draw.
+export function normalizeDag(spec) {
+  const dag = importDag(spec);
+  if (!dag) return null;
+  const nodes = [];
+  const seen = new Set();
+  for (const n of dag.nodes) {
+    const id = typeof n === "string" ? n : n?.id;
+    if (typeof id !== "string" || !id || seen.has(id)) continue;
+    seen.add(id);
+    nodes.push({ id, label: (typeof n === "object" && n.label) || id, type: NODE_TYPES.includes(n.type) ? n.type : "transform" });
+  }
+  const out = new Map(nodes.map((n) => [n.id, []]));
+  const candidates = [];
+  const pairs = new Set();
+  for (const e of dag.edges || []) {
+    const [from, to] = Array.isArray(e) ? e : [e?.from, e?.to];
+    if (!out.has(from) || !out.has(to) || pairs.has(`${from}\u0000${to}`)) continue;
+    pairs.add(`${from}\u0000${to}`);
+    const edge = { from, to };
+    out.get(from).push(edge);
+    candidates.push(edge);
+  }
+
+  // iterative DFS (manifests can be deep); an edge into a node still on the
+  // stack ("grey") would close a cycle
+  const colour = new Map(); // id -> "grey" | "black"
+  const back = new Set();
+  for (const root of nodes) {
+    if (colour.has(root.id)) continue;
+    colour.set(root.id, "grey");
+    const stack = [{ id: root.id, i: 0 }];
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const edge = out.get(top.id)[top.i++];
+      if (!edge) {
+        colour.set(top.id, "black");
+        stack.pop();
+      } else if (colour.get(edge.to) === "grey") {
+        back.add(edge);
+      } else if (!colour.has(edge.to)) {
+        colour.set(edge.to, "grey");
+        stack.push({ id: edge.to, i: 0 });
+      }
+    }
+  }
+  const edges = candidates.filter((e) => !back.has(e));
+  return nodes.length ? { nodes, edges } : null;
+}
+
+export function layoutDag({ nodes, edges }, { width = 200, height = 200, pad = 16 } = {}) {
+  const parents = new Map(nodes.map((n) => [n.id, []]));
+  for (const e of edges) parents.get(e.to).push(e.from);
+
+  const col = new Map();
+  const colOf = (id) => {
+    if (!col.has(id)) col.set(id, parents.get(id).length ? Math.max(...parents.get(id).map(colOf)) + 1 : 0);
+    return col.get(id);
+  };
+  nodes.forEach((n) => colOf(n.id));
+
+  const columns = [];
+  for (const n of nodes) (columns[col.get(n.id)] ||= []).push(n);
+  // one barycentre pass: children sit near the average row of their parents
+  const row = new Map();
+  columns.forEach((list) => {
+    const key = (n) => {
+      const ps = parents.get(n.id).filter((p) => row.has(p));
+      return ps.length ? ps.reduce((s, p) => s + row.get(p), 0) / ps.length : 0.5;
+    };
+    list.sort((a, b) => key(a) - key(b));
+    list.forEach((n, i) => row.set(n.id, (i + 1) / (list.length + 1)));
+  });
+
+  const colGap = columns.length > 1 ? (width - pad * 2) / (columns.length - 1) : 0;
+  const tallest = Math.max(...columns.map((c) => c.length));
+  const size = Math.max(8, Math.min(30, colGap * 0.45 || 30, ((height - pad * 2) / tallest) * 0.55));
+  const placed = new Map(
+    nodes.map((n) => [n.id, {
+      ...n,
+      col: col.get(n.id),
+      x: columns.length > 1 ? pad + col.get(n.id) * colGap : width / 2,
+      y: pad + row.get(n.id) * (height - pad * 2),
+    }])
+  );
+
+  const laid = edges.map((e) => {
+    const a = placed.get(e.from);
+    const b = placed.get(e.to);
+    const x1 = a.x + size / 2;
+    const x2 = b.x - size / 2;
+    const mid = (x1 + x2) / 2;
+    return { ...e, d: `M ${r2(x1)} ${r2(a.y)} C ${r2(mid)} ${r2(a.y)}, ${r2(mid)} ${r2(b.y)}, ${r2(x2)} ${r2(b.y)}` };
+  });
+  return { nodes: [...placed.values()], edges: laid, size, gap: colGap, columns: columns.length };
+}
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const dag = normalizeDag({ nodes: [{ id: "a", type: "source" }, "b", { id: "c", type: "warehouse" }], edges: [["a", "b"], ["b", "c"], ["c", "a"], ["a", "zzz"]] });
+    console.assert(dag.edges.length === 2, "Cycles and dangling edges are dropped");
+    // layered graph with many paths: the old per-edge search was exponential
+    const layers = Array.from({ length: 30 }, (_, l) => [0, 1, 2].map((k) => `n${l}-${k}`));
+    const wide = normalizeDag({ nodes: layers.flat(), edges: layers.slice(1).flatMap((layer, l) => layer.flatMap((to) => layers[l].map((from) => [from, to]))).concat([["n29-0", "n0-0"]]) });
+    console.assert(wide.edges.length === 29 * 9, "Large DAGs normalise quickly and drop the closing edge");
+    const l = layoutDag(dag);
+    console.assert(l.columns === 3 && l.nodes[0].x < l.nodes[1].x && l.nodes[1].x < l.nodes[2].x, "Nodes flow left to right");
+
+    const air = normalizeDag({ tasks: [
+      { task_id: "wait_for_file", operator_name: "SFTPSensor", downstream_task_ids: ["transform"] },
+      { task_id: "transform", operator_name: "PythonOperator", downstream_task_ids: ["load_bq"] },
+      { task_id: "load_bq", operator_name: "BigQueryInsertJobOperator", downstream_task_ids: [] },
+    ] });
+    console.assert(air.nodes.map((n) => n.type).join() === "source,transform,warehouse", "Airflow operators pick node types");
+
+    const dbt = normalizeDag({
+      sources: { "source.p.app.orders": { resource_type: "source", source_name: "app", name: "orders" } },
+      nodes: {
+        "model.p.stg_orders": { resource_type: "model", name: "stg_orders", depends_on: { nodes: ["source.p.app.orders"] } },
+        "model.p.fct_orders": { resource_type: "model", name: "fct_orders", depends_on: { nodes: ["model.p.stg_orders"] } },
+        "test.p.not_null": { resource_type: "test", name: "not_null", depends_on: { nodes: ["model.p.fct_orders"] } },
+      },
+      exposures: {},
+    });
+    console.assert(dbt.nodes.length === 3 && dbt.edges.length === 2 && dbt.nodes[2].type === "warehouse", "dbt manifests skip tests and mark marts");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,24 @@
+import { renderToString, renderToStaticMarkup } from "react-dom/server";
+import App from "./App.jsx";
+import { Resume } from "./Resume.jsx";
+
+// -------------------------------------------------------------
+// Server entry for prerendering (built with `vite build --ssr`)
+// - scripts/prerender.js renders every route from prerenderRoutes()
+//   to static HTML that main.jsx hydrates in the browser.
+// - renderResume() is the script-free résumé for dist/resume.html.
+// -------------------------------------------------------------
+
+export { prerenderRoutes, headForPath, renderHead } from "./seo";
+
+export function render(path) {
+  return renderToString(<App initialPath={path} ssr />);
+}
+
+export function renderResume(origin) {
+  return renderToStaticMarkup(
+    <main className="px-4 sm:px-6 py-6 sm:py-8">
+      <Resume site={`${origin}/`} />
+    </main>
+  );
+}
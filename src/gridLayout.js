@@ -0,0 +1,215 @@
+import { useLayoutEffect, useState } from "react";
+
+// -------------------------------------------------------------
+// 2D grid placement engine
+// - Tile sizes come from the Tailwind span strings in tiles.js
+//   ("col-span-6 md:col-span-3 row-span-4"), resolved per breakpoint.
+// - packLayout places tiles first-fit, row-major, in list order: the
+//   same order always yields the same cells, so collisions resolve
+//   deterministically at 6 / 8 / 12 columns.
+// - applyDrop: equal footprints swap places, otherwise the dragged
+//   tile takes the target's slot and pushes it (and what follows) on.
+// - User resizes are stored per breakpoint and clamped by spanLimits.
+// -------------------------------------------------------------
+
+export const BREAKPOINTS = [
+  { name: "base", minWidth: 0, cols: 6 },
+  { name: "sm", minWidth: 640, cols: 8 },
+  { name: "md", minWidth: 768, cols: 12 },
+];
+
+export function breakpointForWidth(width) {
+  let out = BREAKPOINTS[0];
+  for (const bp of BREAKPOINTS) if (width >= bp.minWidth) out = bp;
+  return out;
+}
+
+// Resolve { w, h } for a span string at a breakpoint; prefixed classes
+// cascade upwards the same way Tailwind applies them.
+export function parseSpan(span = "", bpName = "base") {
+  const idx = BREAKPOINTS.findIndex((b) => b.name === bpName);
+  const bp = BREAKPOINTS[idx] || BREAKPOINTS[0];
+  let w = 1;
+  let h = 1;
+  let colAt = -1;
+  let rowAt = -1;
+  for (const token of String(span).split(/\s+/).filter(Boolean)) {
+    const [prefix, cls] = token.includes(":") ? token.split(":") : ["base", token];
+    const at = BREAKPOINTS.findIndex((b) => b.name === prefix);
+    if (at < 0 || at > idx) continue;
+    const col = /^col-span-(full|\d+)$/.exec(cls);
+    const row = /^row-span-(\d+)$/.exec(cls);
+    if (col && at >= colAt) { w = col[1] === "full" ? bp.cols : Number(col[1]); colAt = at; }
+    if (row && at >= rowAt) { h = Number(row[1]); rowAt = at; }
+  }
+  return { w: Math.max(1, Math.min(w, bp.cols)), h: Math.max(1, h) };
+}
+
+// Per-tile resize limits (tiles.js `minSpan` / `maxSpan`), clamped to the breakpoint
+export function spanLimits(tile, cols) {
+  const min = tile?.minSpan || {};
+  const max = tile?.maxSpan || {};
+  const maxW = Math.min(max.w ?? cols, cols);
+  return { minW: Math.min(min.w ?? 2, maxW), maxW, minH: min.h ?? 1, maxH: max.h ?? 6 };
+}
+
+export function clampSpan({ w, h }, limits) {
+  return {
+    w: Math.max(limits.minW, Math.min(limits.maxW, Math.round(w))),
+    h: Math.max(limits.minH, Math.min(limits.maxH, Math.round(h))),
+  };
+}
+
+function fits(rows, x, y, w, h, cols) {
+  if (x + w > cols) return false;
+  for (let r = y; r < y + h; r++) {
+    const row = rows[r];
+    if (!row) continue;
+    for (let c = x; c < x + w; c++) if (row[c]) return false;
+  }
+  return true;
+}
+
+function occupy(rows, x, y, w, h, cols) {
+  for (let r = y; r < y + h; r++) {
+    if (!rows[r]) rows[r] = new Array(cols).fill(false);
+    for (let c = x; c < x + w; c++) rows[r][c] = true;
+  }
+}
+
+// ids in display order + Map id -> { w, h }  =>  Map id -> { x, y, w, h } (0-based cells)
+export function packLayout(ids, sizes, cols) {
+  const rows = [];
+  const out = new Map();
+  for (const id of ids) {
+    const s = sizes.get(id) || { w: 1, h: 1 };
+    const w = Math.min(s.w, cols);
+    const h = s.h;
+    for (let y = 0; ; y++) {
+      let placed = false;
+      for (let x = 0; x + w <= cols; x++) {
+        if (fits(rows, x, y, w, h, cols)) {
+          occupy(rows, x, y, w, h, cols);
+          out.set(id, { x, y, w, h });
+          placed = true;
+          break;
+        }
+      }
+      if (placed) break;
+    }
+  }
+  return out;
+}
+
+export function applyDrop(list, dragId, targetId, sizes) {
+  const from = list.findIndex((x) => x.id === dragId);
+  const to = list.findIndex((x) => x.id === targetId);
+  if (from < 0 || to < 0 || from === to) return list;
+  const a = sizes.get(dragId);
+  const b = sizes.get(targetId);
+  const next = list.slice();
+  if (a && b && a.w === b.w && a.h === b.h) {
+    [next[from], next[to]] = [next[to], next[from]];
+    return next;
+  }
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+// Tile one row above (dy = -1) or below (dy = 1) the tile `fromId` in packed
+// `cells`: the nearest row in that direction, then the closest column centre.
+// null at the top/bottom edge.
+export function verticalNeighbor(cells, fromId, dy) {
+  const f = cells.get(fromId);
+  if (!f) return null;
+  const cx = f.x + f.w / 2;
+  let bestId = null;
+  let best = [Infinity, Infinity];
+  for (const [id, c] of cells) {
+    const gap = dy > 0 ? c.y - (f.y + f.h) : f.y - (c.y + c.h);
+    if (id === fromId || gap < 0) continue;
+    const dist = [gap, Math.abs(c.x + c.w / 2 - cx)];
+    if (dist[0] < best[0] || (dist[0] === best[0] && dist[1] < best[1])) {
+      best = dist;
+      bestId = id;
+    }
+  }
+  return bestId;
+}
+
+// 1-based place of `id` in reading order (top to bottom, then along the row)
+export function readingPosition(cells, id) {
+  const c = cells.get(id);
+  if (!c) return 0;
+  let before = 0;
+  for (const o of cells.values()) if (o.y < c.y || (o.y === c.y && o.x < c.x)) before++;
+  return before + 1;
+}
+
+// Column/row sizes of a CSS grid element, used to turn cells into pixels
+export function gridMetrics(el, cols) {
+  const cs = getComputedStyle(el);
+  const gapX = parseFloat(cs.getPropertyValue("column-gap")) || 0;
+  const gapY = parseFloat(cs.getPropertyValue("row-gap")) || 0;
+  const rowH = parseFloat(cs.getPropertyValue("grid-auto-rows")) || 130;
+  const colW = (el.clientWidth - gapX * (cols - 1)) / cols;
+  // right-to-left documents start column 1 at the right edge
+  return { colW, rowH, gapX, gapY, width: el.clientWidth, rtl: cs.direction === "rtl" };
+}
+
+export function cellToRect(cell, m) {
+  const x = cell.x * (m.colW + m.gapX);
+  const w = cell.w * m.colW + (cell.w - 1) * m.gapX;
+  return {
+    x: m.rtl ? m.width - x - w : x,
+    y: cell.y * (m.rowH + m.gapY),
+    w,
+    h: cell.h * m.rowH + (cell.h - 1) * m.gapY,
+  };
+}
+
+// Current breakpoint from the viewport width, updated on resize. Starts at the
+// widest breakpoint (what prerendered HTML is laid out for) and measures after mount.
+export function useBreakpoint() {
+  const [bp, setBp] = useState(BREAKPOINTS[BREAKPOINTS.length - 1]);
+  useLayoutEffect(() => {
+    const onResize = () => setBp((prev) => {
+      const next = breakpointForWidth(window.innerWidth);
+      return next.name === prev.name ? prev : next;
+    });
+    onResize();
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+  return bp;
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const s = parseSpan("col-span-6 md:col-span-3 row-span-4", "md");
+    console.assert(s.w === 3 && s.h === 4, "md prefix overrides the base span");
+    console.assert(parseSpan("col-span-full md:col-span-6", "sm").w === 8, "col-span-full fills the breakpoint");
+    const lim = spanLimits({ minSpan: { w: 4 }, maxSpan: { h: 3 } }, 6);
+    const c = clampSpan({ w: 9, h: 5 }, lim);
+    console.assert(c.w === 6 && c.h === 3 && clampSpan({ w: 1, h: 0 }, lim).w === 4, "clampSpan respects tile and breakpoint limits");
+
+    const sizes = new Map([["a", { w: 6, h: 2 }], ["b", { w: 3, h: 4 }], ["c", { w: 3, h: 2 }], ["d", { w: 6, h: 2 }]]);
+    const cells = packLayout(["a", "b", "c", "d"], sizes, 12);
+    console.assert(cells.get("b").x === 6 && cells.get("c").x === 9 && cells.get("d").y === 2, "First-fit packing fills gaps left to right");
+
+    console.assert(verticalNeighbor(cells, "c", 1) === "d" && verticalNeighbor(cells, "d", -1) === "a" && verticalNeighbor(cells, "a", -1) === null, "Up/down move a row in the grid, not a step in the list");
+
+    console.assert(readingPosition(cells, "c") === 3 && readingPosition(cells, "d") === 4, "Reading order runs along rows");
+
+    const list = ["a", "b", "c", "d"].map((id) => ({ id }));
+    console.assert(applyDrop(list, "a", "d", sizes).map((x) => x.id).join("") === "dbca", "Equal footprints swap");
+    console.assert(applyDrop(list, "c", "a", sizes).map((x) => x.id).join("") === "cabd", "Different footprints push");
+
+    const m = { colW: 50, rowH: 100, gapX: 10, gapY: 10, width: 710 };
+    console.assert(cellToRect({ x: 0, y: 0, w: 2, h: 1 }, m).x === 0 && cellToRect({ x: 0, y: 0, w: 2, h: 1 }, { ...m, rtl: true }).x === 600, "Right-to-left grids start at the right edge");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
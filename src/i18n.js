@@ -0,0 +1,124 @@
+import { useLayoutEffect, useState } from "react";
+import en from "./locales/en";
+import es from "./locales/es";
+import ar from "./locales/ar";
+
+// -------------------------------------------------------------
+// UI strings and locales
+// - Catalogs in src/locales/ map flat keys ("nav.About") to strings with
+//   {name} placeholders. A count picks "<key>.one" / "<key>.other" through
+//   Intl.PluralRules. Missing keys fall back to English, then to the
+//   fallback given at the call site.
+// - Catalogs cover the app chrome (header, tiles' controls and forms, grid
+//   announcements, palette, filters, page headings); content (Markdown,
+//   PROFILE, project labels) is shown as written. Dates and counts are
+//   formatted for the same locale.
+// - The locale is stored under LOCALE_KEY. The inline boot script in
+//   index.html sets <html lang dir> from the same key before first paint,
+//   so keep its RTL list in sync with LOCALES.
+// - Add a locale: a catalog in src/locales/ plus an entry in LOCALES.
+// -------------------------------------------------------------
+
+export const LOCALE_KEY = "portfolio:locale";
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = [
+  { code: "en", label: "English", dir: "ltr" },
+  { code: "es", label: "Español", dir: "ltr" },
+  { code: "ar", label: "العربية", dir: "rtl" },
+];
+
+const CATALOGS = { en, es, ar };
+
+export const dirFor = (locale) => LOCALES.find((l) => l.code === locale)?.dir ?? "ltr";
+
+// First supported locale for a list of BCP 47 tags ("es-MX" -> "es")
+export function matchLocale(tags = []) {
+  for (const tag of tags) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (CATALOGS[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const plurals = new Map();
+function pluralKey(locale, key, count) {
+  if (!plurals.has(locale)) plurals.set(locale, new Intl.PluralRules(locale));
+  const form = plurals.get(locale).select(count);
+  const catalog = CATALOGS[locale] || {};
+  return `${key}.${form}` in catalog ? `${key}.${form}` : `${key}.other`;
+}
+
+export function translate(locale, key, vars, fallback = key) {
+  vars = vars || {};
+  const k = vars.count != null ? pluralKey(locale, key, vars.count) : key;
+  const template = CATALOGS[locale]?.[k] ?? en[k] ?? en[key] ?? fallback;
+  return String(template).replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+// t() bound to one locale
+export const translator = (locale) => (key, vars, fallback) => translate(locale, key, vars, fallback);
+
+function loadLocale() {
+  try {
+    const saved = window.localStorage.getItem(LOCALE_KEY);
+    if (CATALOGS[saved]) return saved;
+  } catch {
+    // storage disabled
+  }
+  return matchLocale(navigator.languages || [navigator.language]);
+}
+
+function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale);
+  } catch {
+    // persistence is best-effort
+  }
+}
+
+// Same effect as the boot script
+export function applyLocale(locale) {
+  const root = document.documentElement;
+  root.lang = locale;
+  root.dir = dirFor(locale);
+}
+
+// { locale, dir, t, setLocale }. English on the first (prerendered) render;
+// the stored choice, else the browser's languages, is read before paint.
+export function useLocale() {
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE);
+
+  useLayoutEffect(() => {
+    setLocaleState(loadLocale());
+  }, []);
+
+  useLayoutEffect(() => {
+    applyLocale(locale);
+  }, [locale]);
+
+  const setLocale = (next) => {
+    if (!CATALOGS[next]) return;
+    setLocaleState(next);
+    saveLocale(next);
+  };
+
+  return { locale, dir: dirFor(locale), t: translator(locale), setLocale };
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(matchLocale(["fr-FR", "es-MX"]) === "es" && matchLocale(["fr"]) === "en", "Browser languages pick a supported locale");
+    console.assert(translate("en", "social.open", { name: "GitHub" }) === "Open GitHub", "Placeholders are filled in");
+    console.assert(translate("en", "grid.matches", { count: 1 }) === "1 tile matches the filter" && translate("en", "grid.matches", { count: 2 }).startsWith("2 tiles"), "Counts pick a plural form");
+    console.assert(translate("ar", "no.such.key", {}, "Fallback") === "Fallback", "Unknown keys use the fallback");
+    console.assert(dirFor("ar") === "rtl" && dirFor("en") === "ltr", "Arabic lays out right to left");
+    for (const code of Object.keys(CATALOGS)) {
+      const missing = Object.keys(en).filter((k) => !(k in CATALOGS[code]));
+      console.assert(missing.length === 0, `Catalog "${code}" is missing ${missing.join(", ")}`);
+    }
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
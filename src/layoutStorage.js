@@ -0,0 +1,156 @@
+// -------------------------------------------------------------
+// Layout persistence (localStorage)
+// - Saves tile order (as ids), per-breakpoint tile sizes and lock state.
+//   The theme mode has its own key (theme.js) so the boot script can read it.
+// - The key and payload carry SCHEMA_VERSION; older payloads are run
+//   through MIGRATIONS, anything unreadable is discarded.
+// - Saved orders are reconciled against the current tile config:
+//   removed ids are dropped, new ids are appended.
+// -------------------------------------------------------------
+
+import { THEME_KEY } from "./theme";
+
+export const SCHEMA_VERSION = 3;
+const KEY_PREFIX = "portfolio:layout:v";
+export const STORAGE_KEY = KEY_PREFIX + SCHEMA_VERSION;
+
+// MIGRATIONS[n] upgrades a version-n payload to version n + 1.
+const MIGRATIONS = {
+  // v2: user tile sizes, { [breakpoint]: { [tileId]: { w, h } } }
+  1: (data) => ({ ...data, version: 2, spans: {} }),
+  // v3: theme moved out of the layout into THEME_KEY (theme.js). A saved
+  // choice rides along as `themeMode` for loadLayout to hand over.
+  2: (data) => {
+    const out = { ...data, version: 3 };
+    if (typeof out.themeDark === "boolean") out.themeMode = out.themeDark ? "dark" : "light";
+    delete out.themeDark;
+    return out;
+  },
+};
+
+function storage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // access can throw when storage is disabled
+  }
+}
+
+function readRaw() {
+  const ls = storage();
+  if (!ls) return null;
+  for (let v = SCHEMA_VERSION; v >= 0; v--) {
+    const raw = ls.getItem(KEY_PREFIX + v);
+    if (raw == null) continue;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+export function migrateLayout(data) {
+  if (!data || typeof data !== "object" || !Number.isInteger(data.version)) return null;
+  let out = data;
+  while (out.version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[out.version];
+    if (!step) return null;
+    out = step(out);
+  }
+  return out.version === SCHEMA_VERSION ? out : null;
+}
+
+// Map saved ids back onto tile objects. Unknown ids are ignored and tiles
+// missing from the saved order are appended, keeping config order.
+export function reconcileOrder(ids, tiles) {
+  if (!Array.isArray(ids)) return null;
+  const byId = new Map(tiles.map((t) => [t.id, t]));
+  const seen = new Set();
+  const out = [];
+  for (const id of ids) {
+    if (!byId.has(id) || seen.has(id)) continue;
+    seen.add(id);
+    out.push(byId.get(id));
+  }
+  if (!out.length) return null;
+  for (const t of tiles) if (!seen.has(t.id)) out.push(t);
+  return out;
+}
+
+// Keep only sizes for known tiles with sane cell counts
+export function sanitizeSpans(spans, tiles) {
+  const ids = new Set(tiles.map((t) => t.id));
+  const out = {};
+  if (!spans || typeof spans !== "object") return out;
+  for (const [bp, byId] of Object.entries(spans)) {
+    if (!byId || typeof byId !== "object") continue;
+    for (const [id, s] of Object.entries(byId)) {
+      if (!ids.has(id) || !Number.isInteger(s?.w) || !Number.isInteger(s?.h) || s.w < 1 || s.h < 1) continue;
+      (out[bp] ||= {})[id] = { w: s.w, h: s.h };
+    }
+  }
+  return out;
+}
+
+export function loadLayout(tiles) {
+  const data = migrateLayout(readRaw());
+  if (!data) return null;
+  if (data.themeMode) carryTheme(data.themeMode);
+  return {
+    order: reconcileOrder(data.order, tiles),
+    spans: sanitizeSpans(data.spans, tiles),
+    lockdown: typeof data.lockdown === "boolean" ? data.lockdown : null,
+  };
+}
+
+// A migrated theme choice, unless a mode has been saved since
+function carryTheme(mode) {
+  const ls = storage();
+  try {
+    if (ls && ls.getItem(THEME_KEY) == null) ls.setItem(THEME_KEY, mode);
+  } catch {
+    // best-effort, like the layout itself
+  }
+}
+
+export function saveLayout({ order, spans = {}, lockdown }) {
+  const ls = storage();
+  if (!ls) return;
+  const payload = { version: SCHEMA_VERSION, order: order.map((t) => t.id), spans, lockdown };
+  try {
+    ls.setItem(STORAGE_KEY, JSON.stringify(payload));
+    for (let v = 0; v < SCHEMA_VERSION; v++) ls.removeItem(KEY_PREFIX + v);
+  } catch {
+    // quota exceeded / private mode: persistence is best-effort
+  }
+}
+
+export function clearLayout() {
+  const ls = storage();
+  if (!ls) return;
+  try {
+    for (let v = 0; v <= SCHEMA_VERSION; v++) ls.removeItem(KEY_PREFIX + v);
+  } catch {
+    // ignore
+  }
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const tiles = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const r = reconcileOrder(["c", "zz", "a"], tiles).map((t) => t.id).join(",");
+    console.assert(r === "c,a,b", "reconcileOrder drops unknown ids and appends missing ones");
+    console.assert(reconcileOrder(["zz"], tiles) === null, "reconcileOrder discards layouts with no known ids");
+    console.assert(migrateLayout({ version: SCHEMA_VERSION + 1 }) === null, "Future schema versions are discarded");
+    console.assert(migrateLayout({ version: 1, order: ["a"] }).spans !== undefined, "v1 layouts migrate to per-breakpoint spans");
+    const v2 = migrateLayout({ version: 2, order: ["a"], spans: {}, themeDark: true });
+    console.assert(!("themeDark" in v2) && v2.themeMode === "dark", "v2 layouts hand their theme flag over as a mode");
+    const sp = sanitizeSpans({ md: { a: { w: 3, h: 2 }, zz: { w: 3, h: 2 }, b: { w: 0, h: 2 } } }, tiles);
+    console.assert(Object.keys(sp.md).join() === "a", "sanitizeSpans drops unknown tiles and bad sizes");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,199 @@
+// Arabic UI strings (keys mirror en.js); laid out right to left
+export default {
+  brand: "Sachin Sapkota — هندسة البيانات",
+
+  "nav.All": "الكل",
+  "nav.About": "نبذة",
+  "nav.Projects": "المشاريع",
+  "nav.Media": "الوسائط",
+  "nav.label": "الأقسام",
+
+  "header.language": "اللغة",
+  "header.palette": "فتح لوحة الأوامر",
+  "header.paletteTitle": "لوحة الأوامر (Ctrl+K / ⌘K)",
+  "header.reset": "إعادة ضبط التخطيط",
+  "header.copyLink": "نسخ رابط التخطيط",
+  "header.linkCopied": "تم نسخ رابط التخطيط",
+  "header.copied": "تم النسخ!",
+  "header.locked": "مقفل. انقر لتفعيل السحب",
+  "header.unlocked": "غير مقفل. انقر لقفل السحب",
+  "header.lockDrag": "قفل السحب",
+  "header.unlockDrag": "تفعيل السحب",
+  "header.reduceMotion": "تقليل الحركة",
+  "header.playAnimations": "تشغيل الحركة",
+  "layout.shared": "أنت تشاهد تخطيطًا مشتركًا. تخطيطك وسمتك لم يتغيرا، ولن تُحفظ التغييرات هنا إلا إذا احتفظت بهذا التخطيط.",
+  "layout.keep": "الاحتفاظ بهذا التخطيط",
+  "layout.discard": "العودة إلى تخطيطي",
+
+  "theme.label": "سمة الألوان",
+  "theme.light": "فاتح",
+  "theme.dark": "داكن",
+  "theme.system": "النظام",
+  "theme.modeStatus": "الوضع {mode}",
+  "theme.systemStatus": "النظام ({scheme})",
+
+  "about.hi": "مرحبًا، أنا",
+  "about.resume": "السيرة الذاتية",
+  "about.resumeTitle": "السيرة الذاتية (للطباعة أو الحفظ بصيغة PDF)",
+
+  "social.open": "فتح {name}",
+
+  "tile.about": "نبذة",
+  "tile.contact": "تواصل",
+  "tile.newsletter": "النشرة البريدية",
+  "tile.article": "المقالات",
+  "tile.skills": "المهارات",
+  "tile.github": "GitHub",
+  "tile.instagram": "Instagram",
+  "tile.linkedin": "LinkedIn",
+  "tile.themeCard": "السمة",
+
+  "skills.show": "عرض المشاريع التي تستخدم {name}",
+  "skills.core": "الأساسيات: {names}",
+
+  "grid.caseStudy": "فتح دراسة الحالة: {title}",
+  "grid.resize": "تغيير حجم {label}، {w} × {h} خلايا. استخدم مفاتيح الأسهم لتغيير الحجم.",
+  "grid.resizeTitle": "اسحب لتغيير الحجم",
+  "grid.movable": "بطاقة قابلة للنقل",
+  "grid.moveHelp": "اضغط مفتاح المسافة لالتقاط هذه البطاقة، ومفاتيح الأسهم لتحريكها، ثم المسافة مرة أخرى لإفلاتها، وEscape للإلغاء.",
+  "grid.pickedUp": "تم التقاط {label}. الموضع {pos} من {n}. استخدم مفاتيح الأسهم للتحريك، والمسافة للإفلات، وEscape للإلغاء.",
+  "grid.dropped": "تم إفلات {label} في الموضع {pos} من {n}.",
+  "grid.moved": "نُقلت {label} إلى الموضع {pos} من {n}.",
+  "grid.movedOver": "نُقلت {label} إلى الموضع {pos} من {n}، فوق {other}.",
+  "grid.cancelled": "أُلغي النقل. عادت {label} إلى الموضع {pos} من {n}.",
+  "grid.matches.one": "بطاقة واحدة تطابق عامل التصفية",
+  "grid.matches.two": "بطاقتان تطابقان عامل التصفية",
+  "grid.matches.few": "{count} بطاقات تطابق عامل التصفية",
+  "grid.matches.other": "{count} بطاقة تطابق عامل التصفية",
+
+  "tags.skill": "المهارات",
+  "tags.domain": "المجالات",
+  "tags.year": "السنوات",
+
+  "filter.button": "تصفية",
+  "filter.remove": "إزالة عامل التصفية {tag}",
+  "filter.match": "المطابقة",
+  "filter.any": "أيٌّ منها",
+  "filter.all": "جميعها",
+  "filter.anyTitle": "البطاقات التي تحمل أيًّا من هذه الوسوم",
+  "filter.allTitle": "البطاقات التي تحمل كل هذه الوسوم",
+  "filter.clear": "مسح",
+  "filter.tiles.one": "بطاقة واحدة",
+  "filter.tiles.two": "بطاقتان",
+  "filter.tiles.few": "{count} بطاقات",
+  "filter.tiles.other": "{count} بطاقة",
+
+  "palette.label": "لوحة الأوامر",
+  "palette.search": "ابحث في البطاقات والمشاريع والمهارات والإجراءات…",
+  "palette.commands": "الأوامر",
+  "palette.results": "النتائج",
+  "palette.recent": "الأخيرة",
+  "palette.empty": "لا نتائج لـ «{query}»",
+  "palette.count.one": "نتيجة واحدة",
+  "palette.count.two": "نتيجتان",
+  "palette.count.few": "{count} نتائج",
+  "palette.count.other": "{count} نتيجة",
+
+  "page.articles": "المقالات",
+  "page.resume": "السيرة الذاتية",
+
+  "cmd.navigate": "التنقل",
+  "cmd.actions": "الإجراءات",
+  "cmd.projects": "المشاريع",
+  "cmd.skills": "المهارات",
+  "cmd.tiles": "البطاقات",
+  "cmd.links": "الروابط",
+  "cmd.current": "الحالي",
+  "cmd.goTo": "الانتقال إلى {tab}",
+  "cmd.allArticles": "كل المقالات",
+  "cmd.resume": "السيرة الذاتية",
+  "cmd.article": "مقالة",
+  "cmd.theme": "السمة: {mode}",
+  "cmd.language": "اللغة: {name}",
+  "cmd.lock": "قفل سحب البطاقات",
+  "cmd.unlock": "تفعيل سحب البطاقات",
+  "cmd.clearFilters": "مسح عوامل تصفية الوسوم",
+  "cmd.caseStudy": "دراسة حالة",
+  "cmd.filterBy": "التصفية حسب {tag}",
+  "cmd.stopFilter": "إيقاف التصفية حسب {tag}",
+  "cmd.show": "عرض {label}",
+  "cmd.tile": "بطاقة",
+  "cmd.open": "فتح {name}",
+  "cmd.link": "رابط",
+
+  "form.email": "البريد الإلكتروني",
+  "form.emailAddress": "عنوان البريد الإلكتروني",
+  "form.emailMissing": "يرجى إدخال بريدك الإلكتروني.",
+  "form.emailInvalid": "يبدو أن هذا البريد الإلكتروني غير صحيح.",
+  "form.sending": "جارٍ الإرسال…",
+  "form.unexpected": "حدث خطأ ما — يرجى المحاولة مرة أخرى.",
+
+  "newsletter.blurb": "مقالات جديدة عن هندسة البيانات، مرة في الشهر تقريبًا.",
+  "newsletter.subscribe": "اشترك",
+  "newsletter.thanks": "شكرًا لاشتراكك!",
+  "newsletter.confirm": "شكرًا! تحقق من بريدك الوارد للتأكيد.",
+  "newsletter.closed": "الاشتراك مغلق حاليًا.",
+  "newsletter.error.network": "خطأ في الشبكة — يرجى المحاولة مرة أخرى.",
+  "newsletter.error.failed": "تعذّر الاشتراك — يرجى المحاولة لاحقًا.",
+  "newsletter.error.duplicate": "أنت مشترك بالفعل.",
+  "newsletter.error.mock_fail": "رفض المزوّد التجريبي هذا العنوان.",
+
+  "contact.blurb": "أسئلة أو مشاريع أو مجرد تحية — أرسل رسالة.",
+  "contact.name": "الاسم",
+  "contact.message": "الرسالة",
+  "contact.send": "إرسال الرسالة",
+  "contact.thanks": "شكرًا! رسالتك في الطريق.",
+  "contact.mailApp": "سيفتح تطبيق البريد لديك والرسالة جاهزة للإرسال.",
+  "contact.byEmail": "أرسلها بالبريد الإلكتروني بدلًا من ذلك",
+  "contact.fixFields": "يرجى تصحيح الحقول المحددة.",
+  "contact.closed": "نموذج التواصل مغلق حاليًا.",
+  "contact.wait.one": "لقد أرسلت عدة رسائل بالفعل — يرجى المحاولة بعد دقيقة واحدة.",
+  "contact.wait.other": "لقد أرسلت عدة رسائل بالفعل — يرجى المحاولة بعد {count} دقيقة.",
+  "contact.nameMissing": "يرجى إدخال اسمك.",
+  "contact.nameLong": "يجب ألا يتجاوز الاسم {max} حرفًا.",
+  "contact.messageShort": "يرجى إضافة مزيد من التفاصيل ({min} أحرف على الأقل).",
+  "contact.messageLong": "يجب ألا تتجاوز الرسالة {max} حرف.",
+  "contact.error.network": "تعذّر الوصول إلى الخادم.",
+  "contact.error.rate_limited": "رسائل كثيرة جدًا — يرجى المحاولة لاحقًا.",
+  "contact.error.failed": "تعذّر الإرسال.",
+
+  "caseStudy.close": "إغلاق دراسة الحالة",
+  "caseStudy.problem": "المشكلة",
+  "caseStudy.stack": "التقنيات",
+  "caseStudy.architecture": "البنية",
+  "caseStudy.architectureLabel": "البنية: {steps}",
+  "caseStudy.metrics": "المقاييس",
+
+  "articles.all": "كل المقالات ←",
+  "articles.back": "→ كل المقالات",
+  "articles.none": "لا توجد مقالات بعد.",
+  "articles.notFound": "المقال غير موجود",
+  "articles.backToAll": "العودة إلى كل المقالات",
+
+  "resume.back": "→ نبذة",
+  "resume.printReady": "نسخة جاهزة للطباعة",
+  "resume.print": "طباعة / حفظ كملف PDF",
+  "resume.website": "الموقع",
+  "resume.experience": "الخبرة",
+  "resume.projects": "مشاريع مختارة",
+  "resume.skills": "المهارات",
+  "resume.present": "حتى الآن",
+
+  "chart.title": "رسم بياني",
+  "chart.help": "{title}. استخدم مفتاحي السهم الأيمن والأيسر لقراءة القيم.",
+  "chart.unavailable": "بيانات الرسم البياني غير متاحة",
+  "pipeline.label": "خط البيانات: {steps}. {edges}",
+  "pipeline.loading": "جارٍ تحميل خط البيانات",
+  "pipeline.unavailable": "خط البيانات غير متاح",
+
+  "github.total.one": "{total} مساهمة في العام الماضي",
+  "github.total.other": "{total} مساهمة في العام الماضي",
+  "github.day.one": "{count} مساهمة في {date}",
+  "github.day.other": "{count} مساهمة في {date}",
+  "github.languages": "اللغات",
+  "github.pinned": "المستودعات المثبّتة",
+  "github.stars.one": "{count} نجمة",
+  "github.stars.other": "{count} نجمة",
+  "github.sample": "بيانات تجريبية",
+  "github.updated": "آخر تحديث {date}",
+};
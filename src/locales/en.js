@@ -0,0 +1,193 @@
+// English UI strings; the reference catalog every other locale mirrors (src/i18n.js)
+export default {
+  // "brand" is BRAND from tiles.js; other catalogs may translate it
+
+  "nav.All": "All",
+  "nav.About": "About",
+  "nav.Projects": "Projects",
+  "nav.Media": "Media",
+  "nav.label": "Sections",
+
+  "header.language": "Language",
+  "header.palette": "Open command palette",
+  "header.paletteTitle": "Command palette (Ctrl+K / ⌘K)",
+  "header.reset": "Reset layout",
+  "header.copyLink": "Copy layout link",
+  "header.linkCopied": "Layout link copied",
+  "header.copied": "Copied!",
+  "header.locked": "Locked. Click to unlock drag",
+  "header.unlocked": "Unlocked. Click to lock drag",
+  "header.lockDrag": "Lock drag",
+  "header.unlockDrag": "Unlock drag",
+  "header.reduceMotion": "Reduce motion",
+  "header.playAnimations": "Play animations",
+  "layout.shared": "You're viewing a shared layout. Your own layout and theme are unchanged, and changes made here aren't saved unless you keep this layout.",
+  "layout.keep": "Keep this layout",
+  "layout.discard": "Back to my layout",
+
+  "theme.label": "Colour theme",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.system": "System",
+  "theme.modeStatus": "{mode} mode",
+  "theme.systemStatus": "System ({scheme})",
+
+  "about.hi": "Hi, I'm",
+  "about.resume": "Résumé",
+  "about.resumeTitle": "Résumé (print or save as PDF)",
+
+  "social.open": "Open {name}",
+
+  "tile.about": "About",
+  "tile.contact": "Contact",
+  "tile.newsletter": "Newsletter",
+  "tile.article": "Articles",
+  "tile.skills": "Skills",
+  "tile.github": "GitHub",
+  "tile.instagram": "Instagram",
+  "tile.linkedin": "LinkedIn",
+  "tile.themeCard": "Theme",
+
+  "skills.show": "Show projects using {name}",
+  "skills.core": "Core: {names}",
+
+  "grid.caseStudy": "Open case study: {title}",
+  "grid.resize": "Resize {label}, {w} by {h} cells. Use the arrow keys to change the size.",
+  "grid.resizeTitle": "Drag to resize",
+  "grid.movable": "movable tile",
+  "grid.moveHelp": "Press Space to pick up this tile, the arrow keys to move it, Space again to drop and Escape to cancel.",
+  "grid.pickedUp": "Picked up {label}. Position {pos} of {n}. Use the arrow keys to move, Space to drop, Escape to cancel.",
+  "grid.dropped": "{label} dropped at position {pos} of {n}.",
+  "grid.moved": "{label} moved to position {pos} of {n}.",
+  "grid.movedOver": "{label} moved to position {pos} of {n}, over {other}.",
+  "grid.cancelled": "Move cancelled. {label} returned to position {pos} of {n}.",
+  "grid.matches.one": "{count} tile matches the filter",
+  "grid.matches.other": "{count} tiles match the filter",
+
+  "tags.skill": "Skills",
+  "tags.domain": "Domains",
+  "tags.year": "Years",
+
+  "filter.button": "Filter",
+  "filter.remove": "Remove filter {tag}",
+  "filter.match": "Match",
+  "filter.any": "Any",
+  "filter.all": "All",
+  "filter.anyTitle": "Tiles with any of these tags",
+  "filter.allTitle": "Tiles with all of these tags",
+  "filter.clear": "Clear",
+  "filter.tiles.one": "{count} tile",
+  "filter.tiles.other": "{count} tiles",
+
+  "palette.label": "Command palette",
+  "palette.search": "Search tiles, projects, skills and actions…",
+  "palette.commands": "Commands",
+  "palette.results": "Results",
+  "palette.recent": "Recent",
+  "palette.empty": "No matches for “{query}”",
+  "palette.count.one": "{count} result",
+  "palette.count.other": "{count} results",
+
+  "page.articles": "Articles",
+  "page.resume": "Résumé",
+
+  "cmd.navigate": "Navigate",
+  "cmd.actions": "Actions",
+  "cmd.projects": "Projects",
+  "cmd.skills": "Skills",
+  "cmd.tiles": "Tiles",
+  "cmd.links": "Links",
+  "cmd.current": "Current",
+  "cmd.goTo": "Go to {tab}",
+  "cmd.allArticles": "All articles",
+  "cmd.resume": "Résumé",
+  "cmd.article": "Article",
+  "cmd.theme": "Theme: {mode}",
+  "cmd.language": "Language: {name}",
+  "cmd.lock": "Lock tile dragging",
+  "cmd.unlock": "Unlock tile dragging",
+  "cmd.clearFilters": "Clear tag filters",
+  "cmd.caseStudy": "Case study",
+  "cmd.filterBy": "Filter by {tag}",
+  "cmd.stopFilter": "Stop filtering by {tag}",
+  "cmd.show": "Show {label}",
+  "cmd.tile": "Tile",
+  "cmd.open": "Open {name}",
+  "cmd.link": "Link",
+
+  "form.email": "Email",
+  "form.emailAddress": "Email address",
+  "form.emailMissing": "Please enter your email.",
+  "form.emailInvalid": "That email doesn't look right.",
+  "form.sending": "Sending…",
+  "form.unexpected": "Something went wrong — please try again.",
+
+  "newsletter.blurb": "New posts on data engineering, roughly monthly.",
+  "newsletter.subscribe": "Subscribe",
+  "newsletter.thanks": "Thanks for subscribing!",
+  "newsletter.confirm": "Thanks! Check your inbox to confirm.",
+  "newsletter.closed": "Signups are closed right now.",
+  "newsletter.error.network": "Network error — please try again.",
+  "newsletter.error.failed": "Signup failed — please try again later.",
+  "newsletter.error.duplicate": "You're already subscribed.",
+  "newsletter.error.mock_fail": "Mock provider rejected this address.",
+
+  "contact.blurb": "Questions, projects or just hello — send a message.",
+  "contact.name": "Name",
+  "contact.message": "Message",
+  "contact.send": "Send message",
+  "contact.thanks": "Thanks! Your message is on its way.",
+  "contact.mailApp": "Your mail app should open with the message ready to send.",
+  "contact.byEmail": "Send it by email instead",
+  "contact.fixFields": "Please fix the highlighted fields.",
+  "contact.closed": "The contact form is closed right now.",
+  "contact.wait.one": "You've sent a few messages already — please try again in {count} min.",
+  "contact.wait.other": "You've sent a few messages already — please try again in {count} min.",
+  "contact.nameMissing": "Please enter your name.",
+  "contact.nameLong": "Please keep your name under {max} characters.",
+  "contact.messageShort": "Please add a bit more detail (at least {min} characters).",
+  "contact.messageLong": "Please keep it under {max} characters.",
+  "contact.error.network": "Couldn't reach the server.",
+  "contact.error.rate_limited": "Too many messages — please try again later.",
+  "contact.error.failed": "Sending failed.",
+
+  "caseStudy.close": "Close case study",
+  "caseStudy.problem": "Problem",
+  "caseStudy.stack": "Stack",
+  "caseStudy.architecture": "Architecture",
+  "caseStudy.architectureLabel": "Architecture: {steps}",
+  "caseStudy.metrics": "Metrics",
+
+  "articles.all": "All articles →",
+  "articles.back": "← All articles",
+  "articles.none": "No articles yet.",
+  "articles.notFound": "Article not found",
+  "articles.backToAll": "Back to all articles",
+
+  "resume.back": "← About",
+  "resume.printReady": "Print-ready version",
+  "resume.print": "Print / Save as PDF",
+  "resume.website": "Website",
+  "resume.experience": "Experience",
+  "resume.projects": "Selected projects",
+  "resume.skills": "Skills",
+  "resume.present": "Present",
+
+  "chart.title": "Chart",
+  "chart.help": "{title}. Use the left and right arrow keys to read values.",
+  "chart.unavailable": "Chart data unavailable",
+  "pipeline.label": "Pipeline: {steps}. {edges}",
+  "pipeline.loading": "Pipeline loading",
+  "pipeline.unavailable": "Pipeline unavailable",
+
+  "github.total.one": "{total} contribution in the last year",
+  "github.total.other": "{total} contributions in the last year",
+  "github.day.one": "{count} contribution on {date}",
+  "github.day.other": "{count} contributions on {date}",
+  "github.languages": "Languages",
+  "github.pinned": "Pinned repositories",
+  "github.stars.one": "{count} star",
+  "github.stars.other": "{count} stars",
+  "github.sample": "Sample data",
+  "github.updated": "Updated {date}",
+};
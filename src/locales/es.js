@@ -0,0 +1,193 @@
+// Spanish UI strings (keys mirror en.js)
+export default {
+  brand: "Sachin Sapkota — Ingeniería de datos",
+
+  "nav.All": "Todo",
+  "nav.About": "Perfil",
+  "nav.Projects": "Proyectos",
+  "nav.Media": "Medios",
+  "nav.label": "Secciones",
+
+  "header.language": "Idioma",
+  "header.palette": "Abrir la paleta de comandos",
+  "header.paletteTitle": "Paleta de comandos (Ctrl+K / ⌘K)",
+  "header.reset": "Restablecer el diseño",
+  "header.copyLink": "Copiar enlace del diseño",
+  "header.linkCopied": "Enlace del diseño copiado",
+  "header.copied": "¡Copiado!",
+  "header.locked": "Bloqueado. Haz clic para permitir arrastrar",
+  "header.unlocked": "Desbloqueado. Haz clic para bloquear el arrastre",
+  "header.lockDrag": "Bloquear arrastre",
+  "header.unlockDrag": "Permitir arrastre",
+  "header.reduceMotion": "Reducir movimiento",
+  "header.playAnimations": "Reproducir animaciones",
+  "layout.shared": "Estás viendo un diseño compartido. Tu diseño y tu tema no han cambiado, y lo que cambies aquí no se guarda salvo que conserves este diseño.",
+  "layout.keep": "Conservar este diseño",
+  "layout.discard": "Volver a mi diseño",
+
+  "theme.label": "Tema de color",
+  "theme.light": "Claro",
+  "theme.dark": "Oscuro",
+  "theme.system": "Sistema",
+  "theme.modeStatus": "Modo {mode}",
+  "theme.systemStatus": "Sistema ({scheme})",
+
+  "about.hi": "Hola, soy",
+  "about.resume": "Currículum",
+  "about.resumeTitle": "Currículum (imprimir o guardar como PDF)",
+
+  "social.open": "Abrir {name}",
+
+  "tile.about": "Perfil",
+  "tile.contact": "Contacto",
+  "tile.newsletter": "Boletín",
+  "tile.article": "Artículos",
+  "tile.skills": "Habilidades",
+  "tile.github": "GitHub",
+  "tile.instagram": "Instagram",
+  "tile.linkedin": "LinkedIn",
+  "tile.themeCard": "Tema",
+
+  "skills.show": "Ver proyectos con {name}",
+  "skills.core": "Base: {names}",
+
+  "grid.caseStudy": "Abrir el caso de estudio: {title}",
+  "grid.resize": "Cambiar el tamaño de {label}, {w} por {h} celdas. Usa las flechas para cambiarlo.",
+  "grid.resizeTitle": "Arrastra para cambiar el tamaño",
+  "grid.movable": "mosaico movible",
+  "grid.moveHelp": "Pulsa Espacio para tomar este bloque, las flechas para moverlo, Espacio otra vez para soltarlo y Escape para cancelar.",
+  "grid.pickedUp": "{label} tomado. Posición {pos} de {n}. Usa las flechas para moverlo, Espacio para soltarlo y Escape para cancelar.",
+  "grid.dropped": "{label} soltado en la posición {pos} de {n}.",
+  "grid.moved": "{label} movido a la posición {pos} de {n}.",
+  "grid.movedOver": "{label} movido a la posición {pos} de {n}, sobre {other}.",
+  "grid.cancelled": "Movimiento cancelado. {label} vuelve a la posición {pos} de {n}.",
+  "grid.matches.one": "{count} bloque coincide con el filtro",
+  "grid.matches.other": "{count} bloques coinciden con el filtro",
+
+  "tags.skill": "Habilidades",
+  "tags.domain": "Áreas",
+  "tags.year": "Años",
+
+  "filter.button": "Filtrar",
+  "filter.remove": "Quitar el filtro {tag}",
+  "filter.match": "Coincidencia",
+  "filter.any": "Alguna",
+  "filter.all": "Todas",
+  "filter.anyTitle": "Bloques con alguna de estas etiquetas",
+  "filter.allTitle": "Bloques con todas estas etiquetas",
+  "filter.clear": "Limpiar",
+  "filter.tiles.one": "{count} bloque",
+  "filter.tiles.other": "{count} bloques",
+
+  "palette.label": "Paleta de comandos",
+  "palette.search": "Busca bloques, proyectos, habilidades y acciones…",
+  "palette.commands": "Comandos",
+  "palette.results": "Resultados",
+  "palette.recent": "Recientes",
+  "palette.empty": "Sin resultados para «{query}»",
+  "palette.count.one": "{count} resultado",
+  "palette.count.other": "{count} resultados",
+
+  "page.articles": "Artículos",
+  "page.resume": "Currículum",
+
+  "cmd.navigate": "Navegar",
+  "cmd.actions": "Acciones",
+  "cmd.projects": "Proyectos",
+  "cmd.skills": "Habilidades",
+  "cmd.tiles": "Bloques",
+  "cmd.links": "Enlaces",
+  "cmd.current": "Actual",
+  "cmd.goTo": "Ir a {tab}",
+  "cmd.allArticles": "Todos los artículos",
+  "cmd.resume": "Currículum",
+  "cmd.article": "Artículo",
+  "cmd.theme": "Tema: {mode}",
+  "cmd.language": "Idioma: {name}",
+  "cmd.lock": "Bloquear el arrastre de bloques",
+  "cmd.unlock": "Permitir el arrastre de bloques",
+  "cmd.clearFilters": "Quitar los filtros de etiquetas",
+  "cmd.caseStudy": "Caso de estudio",
+  "cmd.filterBy": "Filtrar por {tag}",
+  "cmd.stopFilter": "Dejar de filtrar por {tag}",
+  "cmd.show": "Mostrar {label}",
+  "cmd.tile": "Bloque",
+  "cmd.open": "Abrir {name}",
+  "cmd.link": "Enlace",
+
+  "form.email": "Correo",
+  "form.emailAddress": "Correo electrónico",
+  "form.emailMissing": "Escribe tu correo.",
+  "form.emailInvalid": "Ese correo no parece correcto.",
+  "form.sending": "Enviando…",
+  "form.unexpected": "Algo salió mal. Inténtalo de nuevo.",
+
+  "newsletter.blurb": "Nuevos artículos sobre ingeniería de datos, más o menos cada mes.",
+  "newsletter.subscribe": "Suscribirme",
+  "newsletter.thanks": "¡Gracias por suscribirte!",
+  "newsletter.confirm": "¡Gracias! Revisa tu bandeja de entrada para confirmar.",
+  "newsletter.closed": "Las suscripciones están cerradas por ahora.",
+  "newsletter.error.network": "Error de red. Inténtalo de nuevo.",
+  "newsletter.error.failed": "No se pudo completar la suscripción. Inténtalo más tarde.",
+  "newsletter.error.duplicate": "Ya estás suscrito.",
+  "newsletter.error.mock_fail": "El proveedor de prueba rechazó esta dirección.",
+
+  "contact.blurb": "Preguntas, proyectos o solo un hola: envía un mensaje.",
+  "contact.name": "Nombre",
+  "contact.message": "Mensaje",
+  "contact.send": "Enviar mensaje",
+  "contact.thanks": "¡Gracias! Tu mensaje va en camino.",
+  "contact.mailApp": "Tu aplicación de correo debería abrirse con el mensaje listo para enviar.",
+  "contact.byEmail": "Envíalo por correo",
+  "contact.fixFields": "Corrige los campos marcados.",
+  "contact.closed": "El formulario de contacto está cerrado por ahora.",
+  "contact.wait.one": "Ya enviaste varios mensajes. Inténtalo de nuevo en {count} minuto.",
+  "contact.wait.other": "Ya enviaste varios mensajes. Inténtalo de nuevo en {count} minutos.",
+  "contact.nameMissing": "Escribe tu nombre.",
+  "contact.nameLong": "El nombre debe tener menos de {max} caracteres.",
+  "contact.messageShort": "Añade un poco más de detalle (al menos {min} caracteres).",
+  "contact.messageLong": "El mensaje debe tener menos de {max} caracteres.",
+  "contact.error.network": "No se pudo conectar con el servidor.",
+  "contact.error.rate_limited": "Demasiados mensajes. Inténtalo más tarde.",
+  "contact.error.failed": "No se pudo enviar.",
+
+  "caseStudy.close": "Cerrar caso de estudio",
+  "caseStudy.problem": "Problema",
+  "caseStudy.stack": "Tecnologías",
+  "caseStudy.architecture": "Arquitectura",
+  "caseStudy.architectureLabel": "Arquitectura: {steps}",
+  "caseStudy.metrics": "Métricas",
+
+  "articles.all": "Todos los artículos →",
+  "articles.back": "← Todos los artículos",
+  "articles.none": "Aún no hay artículos.",
+  "articles.notFound": "Artículo no encontrado",
+  "articles.backToAll": "Volver a todos los artículos",
+
+  "resume.back": "← Sobre mí",
+  "resume.printReady": "Versión para imprimir",
+  "resume.print": "Imprimir / Guardar como PDF",
+  "resume.website": "Sitio web",
+  "resume.experience": "Experiencia",
+  "resume.projects": "Proyectos destacados",
+  "resume.skills": "Habilidades",
+  "resume.present": "Actualidad",
+
+  "chart.title": "Gráfico",
+  "chart.help": "{title}. Usa las flechas izquierda y derecha para leer los valores.",
+  "chart.unavailable": "Datos del gráfico no disponibles",
+  "pipeline.label": "Pipeline: {steps}. {edges}",
+  "pipeline.loading": "Cargando pipeline",
+  "pipeline.unavailable": "Pipeline no disponible",
+
+  "github.total.one": "{total} contribución en el último año",
+  "github.total.other": "{total} contribuciones en el último año",
+  "github.day.one": "{count} contribución el {date}",
+  "github.day.other": "{count} contribuciones el {date}",
+  "github.languages": "Lenguajes",
+  "github.pinned": "Repositorios destacados",
+  "github.stars.one": "{count} estrella",
+  "github.stars.other": "{count} estrellas",
+  "github.sample": "Datos de ejemplo",
+  "github.updated": "Actualizado el {date}",
+};
@@ -1,13 +1,23 @@
 import React from "react";
-import { createRoot } from "react-dom/client";
+import { createRoot, hydrateRoot } from "react-dom/client";
 import "./index.css";
 import App from "./App.jsx";
 
 const rootEl = document.getElementById("root");
 if (!rootEl) throw new Error("#root not found in index.html");
 
-createRoot(rootEl).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Prerendered pages (scripts/prerender.js) ship markup for their path: hydrate it
+if (rootEl.hasChildNodes()) {
+  hydrateRoot(
+    rootEl,
+    <React.StrictMode>
+      <App initialPath={window.location.pathname} />
+    </React.StrictMode>
+  );
+} else {
+  createRoot(rootEl).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+}
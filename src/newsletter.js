@@ -0,0 +1,120 @@
+import { translator } from "./i18n";
+
+// -------------------------------------------------------------
+// Newsletter provider adapters
+// - Every adapter is { name, subscribe({ email }) => Promise<void> } and
+//   throws NewsletterError on failure. Its `code` picks the translated
+//   message ("newsletter.error.<code>"); `message` is the English one.
+// - webhook: POST JSON { email } to any endpoint (Zapier, a serverless fn...).
+// - buttondown: Buttondown's public embed-subscribe endpoint.
+// - mailchimp: a Mailchimp embedded-form action URL (no-cors form POST).
+// - mock: offline stand-in that keeps subscribers in localStorage.
+// -------------------------------------------------------------
+
+export class NewsletterError extends Error {
+  constructor(message, { code = "failed", cause } = {}) {
+    super(message);
+    this.name = "NewsletterError";
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export function validateEmail(email, t = translator("en")) {
+  const v = String(email || "").trim();
+  if (!v) return t("form.emailMissing");
+  if (v.length > 254 || !EMAIL_RE.test(v)) return t("form.emailInvalid");
+  return null;
+}
+
+async function post(url, init) {
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (e) {
+    throw new NewsletterError("Network error — please try again.", { code: "network", cause: e });
+  }
+  if (res.type !== "opaque" && !res.ok) {
+    throw new NewsletterError("Signup failed — please try again later.", { code: `http_${res.status}` });
+  }
+  return res;
+}
+
+export function webhookAdapter({ url }) {
+  if (!url) throw new Error("webhook adapter needs a url");
+  return {
+    name: "webhook",
+    async subscribe({ email }) {
+      await post(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, source: "portfolio" }),
+      });
+    },
+  };
+}
+
+export function buttondownAdapter({ username }) {
+  if (!username) throw new Error("buttondown adapter needs a username");
+  const url = `https://buttondown.com/api/emails/embed-subscribe/${encodeURIComponent(username)}`;
+  return {
+    name: "buttondown",
+    async subscribe({ email }) {
+      await post(url, { method: "POST", mode: "no-cors", body: new URLSearchParams({ email }) });
+    },
+  };
+}
+
+export function mailchimpAdapter({ url }) {
+  if (!url) throw new Error("mailchimp adapter needs the embedded form action url");
+  return {
+    name: "mailchimp",
+    async subscribe({ email }) {
+      await post(url, { method: "POST", mode: "no-cors", body: new URLSearchParams({ EMAIL: email }) });
+    },
+  };
+}
+
+// Offline adapter: "…+fail@…" addresses fail, repeats report "already subscribed"
+export function mockAdapter({ delay = 600, storageKey = "newsletter:mock" } = {}) {
+  return {
+    name: "mock",
+    async subscribe({ email }) {
+      await new Promise((r) => setTimeout(r, delay));
+      if (/\+fail@/i.test(email)) throw new NewsletterError("Mock provider rejected this address.", { code: "mock_fail" });
+      let list = [];
+      try { list = JSON.parse(localStorage.getItem(storageKey) || "[]"); } catch { list = []; }
+      if (list.includes(email.toLowerCase())) throw new NewsletterError("You're already subscribed.", { code: "duplicate" });
+      list.push(email.toLowerCase());
+      try { localStorage.setItem(storageKey, JSON.stringify(list)); } catch { /* in-memory only */ }
+      console.info(`[newsletter:mock] subscribed ${email}`);
+    },
+  };
+}
+
+const ADAPTERS = {
+  webhook: webhookAdapter,
+  buttondown: buttondownAdapter,
+  mailchimp: mailchimpAdapter,
+  mock: mockAdapter,
+};
+
+export function createNewsletterAdapter(provider, options = {}) {
+  const make = ADAPTERS[provider];
+  if (!make) throw new Error(`Unknown newsletter provider "${provider}" (expected ${Object.keys(ADAPTERS).join(", ")})`);
+  return make(options);
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(validateEmail("a@b.co") === null, "Valid email passes");
+    console.assert(validateEmail("nope") && validateEmail(""), "Invalid and empty emails are rejected");
+    console.assert(validateEmail("", translator("es")) === "Escribe tu correo.", "Errors follow the UI locale");
+    console.assert(createNewsletterAdapter("mock").name === "mock", "Adapters resolve by provider name");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
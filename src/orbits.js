@@ -0,0 +1,77 @@
+// -------------------------------------------------------------
+// Orbit layout for the skills solar system (TechSolarSystem)
+// - Any number of skills: one ring each up to MAX_RINGS, after that
+//   skills share rings and are spread evenly around them.
+// - An explicit `ring` (1-based) pins a skill and can add rings.
+// - Rings are spaced evenly between INNER and OUTER (0..200 viewBox);
+//   outer rings turn slower, roughly like planets (Kepler: T ∝ r^1.5).
+// -------------------------------------------------------------
+
+export const MAX_RINGS = 8;
+const INNER = 24;
+const OUTER = 84;
+const INNER_PERIOD = 8; // seconds for one turn of the innermost ring
+
+// Strings or { name, level, years, color, size, ring } -> one shape, colours
+// from the palette's `series` when a skill has none
+export function normalizeSkills(list, series) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((s) => (typeof s === "string" ? { name: s } : s))
+    .filter((s) => s && typeof s.name === "string" && s.name)
+    .filter((s, i, all) => all.findIndex((o) => o.name === s.name) === i)
+    .map((s, i) => ({
+      name: s.name,
+      level: s.level ?? null,
+      years: Number.isFinite(s.years) ? s.years : null,
+      color: s.color || series[i % series.length],
+      size: s.size || (list.length > 6 ? 6 : 7),
+      ring: Number.isInteger(s.ring) && s.ring > 0 ? s.ring : null,
+    }));
+}
+
+export function layoutOrbits(skills, maxRings = MAX_RINGS) {
+  const count = Math.max(Math.min(skills.length, maxRings), ...skills.map((s) => s.ring ?? 0));
+  if (!count) return { rings: [], planets: [] };
+  const rings = Array.from({ length: count }, (_, i) => {
+    const r = count === 1 ? (INNER + OUTER) / 2 : INNER + ((OUTER - INNER) * i) / (count - 1);
+    return { r, dur: Math.round(INNER_PERIOD * (r / INNER) ** 1.5 * 10) / 10 };
+  });
+  const members = rings.map(() => []);
+  skills.forEach((s, i) => members[s.ring ? s.ring - 1 : i % count].push(s));
+  const planets = members.flatMap((onRing, ri) =>
+    onRing.map((s, j) => ({
+      ...s,
+      ring: ri + 1,
+      r: rings[ri].r,
+      dur: rings[ri].dur,
+      // stagger rings so neighbouring planets don't line up, then share the circle
+      start: Math.round((ri * 50 + (j * 360) / onRing.length) % 360),
+    }))
+  );
+  return { rings, planets };
+}
+
+// "Expert · 6 yrs" for the tooltip, skipping what's missing
+export function describeSkill({ level, years }) {
+  const parts = [level, years != null ? `${years} ${years === 1 ? "yr" : "yrs"}` : null].filter(Boolean);
+  return parts.join(" · ");
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const series = ["#111"];
+    const six = layoutOrbits(normalizeSkills(["a", "b", "c", "d", "e", "f"], series));
+    console.assert(six.rings.length === 6 && six.rings[0].r === 24 && six.rings[5].r === 84, "Six skills keep one ring each");
+    const many = layoutOrbits(normalizeSkills(Array.from({ length: 11 }, (_, i) => `s${i}`), series));
+    console.assert(many.rings.length === MAX_RINGS && many.planets.length === 11, "Extra skills share rings");
+    const shared = many.planets.filter((p) => p.ring === 1);
+    console.assert(shared.length === 2 && Math.abs(shared[1].start - shared[0].start) === 180, "Planets on a shared ring are spread evenly");
+    const pinned = layoutOrbits(normalizeSkills([{ name: "x", ring: 3 }], series));
+    console.assert(pinned.rings.length === 3 && pinned.planets[0].ring === 3, "An explicit ring adds rings up to it");
+    console.assert(describeSkill({ level: "Expert", years: 1 }) === "Expert · 1 yr", "Tooltip text joins level and years");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,44 @@
+import { useEffect, useState } from "react";
+import { parseCsv } from "./chart";
+
+// -------------------------------------------------------------
+// Data files for tiles (chart CSV/JSON, pipeline DAG JSON)
+// - `src` is a path under public/ (BASE_URL is prepended) or an absolute URL.
+// - Each URL is fetched once and shared; a failed fetch is forgotten so a
+//   later mount can retry.
+// - .csv is parsed into rows, anything else as JSON.
+// -------------------------------------------------------------
+
+const cache = new Map(); // url -> Promise
+
+export function fetchPublic(src) {
+  const url = /^https?:/.test(src) ? src : import.meta.env.BASE_URL + src.replace(/^\//, "");
+  if (!cache.has(url)) {
+    const load = fetch(url).then((res) => {
+      if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+      return /\.csv(\?|$)/i.test(url) ? res.text().then(parseCsv) : res.json();
+    });
+    load.catch(() => cache.delete(url));
+    cache.set(url, load);
+  }
+  return cache.get(url);
+}
+
+// { data, error } for `src` (both null while loading or without a src).
+// Runs after mount, so prerendered markup never depends on the file.
+export function usePublicData(src) {
+  const [loaded, setLoaded] = useState({ src: null, data: null, error: null });
+  useEffect(() => {
+    if (!src) return;
+    let live = true;
+    fetchPublic(src).then(
+      (data) => live && setLoaded({ src, data, error: null }),
+      (e) => {
+        console.warn("Tile data failed to load:", e);
+        if (live) setLoaded({ src, data: null, error: e.message });
+      }
+    );
+    return () => { live = false; };
+  }, [src]);
+  return loaded.src === src && src ? loaded : { data: null, error: null };
+}
@@ -0,0 +1,78 @@
+import { useLayoutEffect, useState } from "react";
+
+// -------------------------------------------------------------
+// Motion preference
+// - Follows the OS `prefers-reduced-motion` setting until the header toggle
+//   picks "reduce" or "full"; that choice is stored under MOTION_KEY.
+// - Components get a plain `reduced` flag. framer-motion loops and entrance
+//   animations jump to their last frame through transitionFor(); SMIL elements
+//   (<animateTransform>) are not rendered at all, since framer-motion's
+//   MotionConfig never reaches them.
+// -------------------------------------------------------------
+
+export const MOTION_KEY = "portfolio:motion";
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+export function resolveReducedMotion(setting, osReduced) {
+  if (setting === "reduce") return true;
+  if (setting === "full") return false;
+  return Boolean(osReduced);
+}
+
+function loadSetting() {
+  try {
+    const v = window.localStorage.getItem(MOTION_KEY);
+    return v === "reduce" || v === "full" ? v : null;
+  } catch {
+    return null; // storage disabled
+  }
+}
+
+function saveSetting(setting) {
+  try {
+    window.localStorage.setItem(MOTION_KEY, setting);
+  } catch {
+    // persistence is best-effort
+  }
+}
+
+// A transition that settles instantly (on the final keyframe) when reduced
+export function transitionFor(reduced, transition) {
+  return reduced ? { duration: 0 } : transition;
+}
+
+// [reduced, setReduced]. Full motion on the first (prerendered) render; the
+// stored choice and the OS setting are read before paint.
+export function useMotionPreference() {
+  const [setting, setSetting] = useState(null);
+  const [osReduced, setOsReduced] = useState(false);
+
+  useLayoutEffect(() => {
+    setSetting(loadSetting());
+    const mq = window.matchMedia?.(QUERY);
+    if (!mq) return;
+    setOsReduced(mq.matches);
+    const onChange = (e) => setOsReduced(e.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+
+  const setReduced = (reduce) => {
+    const next = reduce ? "reduce" : "full";
+    setSetting(next);
+    saveSetting(next);
+  };
+
+  return [resolveReducedMotion(setting, osReduced), setReduced];
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(resolveReducedMotion(null, true) === true, "Without a choice the OS setting wins");
+    console.assert(resolveReducedMotion("full", true) === false && resolveReducedMotion("reduce", false) === true, "A stored choice overrides the OS setting");
+    console.assert(transitionFor(true, { repeat: Infinity }).duration === 0, "Reduced loops settle instantly");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,78 @@
+import { describeSkill } from "./orbits";
+import { translate } from "./i18n";
+
+// -------------------------------------------------------------
+// Résumé data (Resume.jsx, resume.html)
+// - Built from the same content as the grid: PROFILE and SKILLS (tiles.js),
+//   content/projects and content/experience (Markdown), profile links.
+// - Experience newest first; a role without `end` is current.
+// - Projects keep their problem statement, headline metrics and stack.
+// -------------------------------------------------------------
+
+// "2023-04" -> "Apr 2023" (in `locale`)
+export function formatMonth(ym, locale = "en") {
+  const [y, m] = String(ym).split("-").map(Number);
+  if (!(m >= 1 && m <= 12)) return String(ym);
+  return new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString(locale, { year: "numeric", month: "short", timeZone: "UTC" });
+}
+
+export function dateRange(start, end, locale = "en") {
+  return `${formatMonth(start, locale)} – ${end ? formatMonth(end, locale) : translate(locale, "resume.present")}`;
+}
+
+// "https://www.linkedin.com/in/x/" -> "linkedin.com/in/x"
+export function displayUrl(href) {
+  try {
+    const u = new URL(href);
+    return (u.hostname.replace(/^www\./, "") + u.pathname).replace(/\/+$/, "");
+  } catch {
+    return href;
+  }
+}
+
+export function buildResume({ profile, skills = [], projects = [], experience = [], links = [] }) {
+  return {
+    name: profile.name,
+    jobTitle: profile.jobTitle,
+    summary: profile.summary,
+    links: links.map((l) => ({ label: l.label, href: l.href, text: displayUrl(l.href) })),
+    experience: [...experience]
+      .sort((a, b) => String(b.start).localeCompare(String(a.start)))
+      .map((e) => ({
+        id: e.id,
+        role: e.title,
+        company: e.company,
+        location: e.location || null,
+        start: e.start,
+        end: e.end || null,
+        html: e.html,
+        skills: e.skills || [],
+      })),
+    projects: projects.map((p) => ({
+      id: p.id,
+      title: p.title,
+      year: p.date ? p.date.slice(0, 4) : null,
+      summary: p.problem || p.summary || "",
+      metrics: (p.metrics || []).map((m) => `${m.label}: ${m.value}`),
+      stack: p.skills || [],
+    })),
+    skills: skills.map((s) => ({ name: s.name, detail: describeSkill({ level: s.level ?? null, years: s.years ?? null }) })),
+  };
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(dateRange("2023-04") === "Apr 2023 – Present" && formatMonth("2020-12") === "Dec 2020", "Month ranges read naturally");
+    console.assert(dateRange("2023-04", null, "es").endsWith("Actualidad"), "Ranges follow the UI locale");
+    console.assert(displayUrl("https://www.linkedin.com/in/x/") === "linkedin.com/in/x", "Links print without scheme or www");
+    const r = buildResume({
+      profile: { name: "A", jobTitle: "B", summary: "C" },
+      experience: [{ id: "old", title: "Analyst", company: "X", start: "2019-01", end: "2020-01" }, { id: "new", title: "Engineer", company: "Y", start: "2021-05" }],
+      skills: [{ name: "SQL", level: "Expert", years: 6 }],
+    });
+    console.assert(r.experience[0].id === "new" && r.skills[0].detail === "Expert · 6 yrs", "Newest role first, skills described");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useLayoutEffect, useState } from "react";
+
+// -------------------------------------------------------------
+// Tiny hash router for the NAV tabs
+// - "#/" or no hash → All, "#/projects" → Projects
+// - "#/projects/projectTallA" → Projects tab + deep link to that tile
+// - "#/projects/projectTallA/case-study" → same, with the case study open
+// - "#/articles", "#/articles/<slug>" and "#/resume" → full pages owned by a
+//   tab (PAGES)
+// - Tabs are lower-cased in the URL, tile ids are matched exactly.
+// - Prerendered pages live at the same routes as paths ("/projects/"); the
+//   hash wins when present, otherwise the path is read the same way.
+// -------------------------------------------------------------
+
+const DETAIL = "case-study";
+
+// Page routes and the NAV tab that stays highlighted while they are open
+export const PAGES = { articles: "Media", resume: "About" };
+
+export function parseRoute(hash, tabs, tileIds = []) {
+  const none = { tileId: null, detail: false, page: null, slug: null };
+  let parts;
+  try {
+    parts = String(hash || "").replace(/^#\/?/, "").split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return { ...none, tab: tabs[0] }; // malformed escape ("%E0"): default route
+  }
+  if (parts.length && PAGES[parts[0]]) return { ...none, tab: PAGES[parts[0]], page: parts[0], slug: parts[1] ?? null };
+  const tab = parts.length ? tabs.find((t) => t.toLowerCase() === parts[0].toLowerCase()) : tabs[0];
+  if (!tab) return { ...none, tab: tabs[0] };
+  const tileId = parts[1] && tileIds.includes(parts[1]) ? parts[1] : null;
+  return { ...none, tab, tileId, detail: Boolean(tileId && parts[2] === DETAIL) };
+}
+
+export function routeToHash({ tab, tileId = null, detail = false, page = null, slug = null }, tabs) {
+  if (page) return `#/${page}` + (slug ? `/${encodeURIComponent(slug)}` : "");
+  if (!tileId) return !tab || tab === tabs[0] ? "#/" : `#/${tab.toLowerCase()}`;
+  return `#/${(tab || tabs[0]).toLowerCase()}/${encodeURIComponent(tileId)}` + (detail ? `/${DETAIL}` : "");
+}
+
+export function titleForTab(tab, brand, tabs) {
+  return !tab || tab === tabs[0] ? brand : `${tab} · ${brand}`;
+}
+
+// "/projects/projectTallA/" -> "#/projects/projectTallA"
+export function pathToHash(path = "/") {
+  return "#" + (String(path).replace(/\/+$/, "") || "/");
+}
+
+// The path form of a route, for prerendered files and canonical URLs
+export function routeToPath(route, tabs) {
+  const hash = routeToHash(route, tabs).slice(1);
+  return hash === "/" ? "/" : `${hash}/`;
+}
+
+function currentRoute(tabs, tileIds) {
+  if (typeof window === "undefined") return parseRoute("", tabs, tileIds);
+  return parseRoute(window.location.hash || pathToHash(window.location.pathname), tabs, tileIds);
+}
+
+// Keeps a route in sync with the URL. `navigate` pushes a history entry
+// (or replaces the current one with { replace: true }); back/forward (popstate)
+// and manual hash edits (hashchange) update the route.
+// `initialPath` (used when prerendering) seeds the first render; the real
+// location is read after mount so hydration sees the same markup.
+// `navigate` keeps its identity while `tabs` and `tileIds` do.
+export function useHashRoute(tabs, tileIds, initialPath = null) {
+  const [route, setRoute] = useState(() => (initialPath != null ? parseRoute(pathToHash(initialPath), tabs, tileIds) : currentRoute(tabs, tileIds)));
+
+  useLayoutEffect(() => {
+    setRoute(currentRoute(tabs, tileIds));
+  }, [tabs, tileIds]);
+
+  useEffect(() => {
+    const sync = () => setRoute(currentRoute(tabs, tileIds));
+    window.addEventListener("popstate", sync);
+    window.addEventListener("hashchange", sync);
+    return () => {
+      window.removeEventListener("popstate", sync);
+      window.removeEventListener("hashchange", sync);
+    };
+  }, [tabs, tileIds]);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = routeToHash(next, tabs);
+    // always land back on the app root so path routes don't stack up with
+    // hashes; the query string (tag filters) is kept
+    const url = import.meta.env.BASE_URL + window.location.search + hash;
+    if (hash !== (window.location.hash || "#/") || window.location.pathname !== import.meta.env.BASE_URL) {
+      if (replace) window.history.replaceState(null, "", url);
+      else window.history.pushState(null, "", url);
+    }
+    setRoute(parseRoute(hash, tabs, tileIds));
+  }, [tabs, tileIds]);
+
+  return [route, navigate];
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const tabs = ["All", "About", "Projects"];
+    const r = parseRoute("#/projects/projectTallA", tabs, ["projectTallA"]);
+    console.assert(r.tab === "Projects" && r.tileId === "projectTallA", "Deep link resolves tab and tile");
+    console.assert(parseRoute("", tabs).tab === "All", "Empty hash is All");
+    console.assert(parseRoute("#/nope", tabs).tab === "All", "Unknown routes fall back to All");
+    console.assert(parseRoute("#/projects/%E0", tabs).tab === "All", "Malformed escapes fall back to All");
+    console.assert(routeToHash({ tab: "About" }, tabs) === "#/about", "Tabs serialize lower-cased");
+    const d = parseRoute(routeToHash({ tab: "Projects", tileId: "projectTallA", detail: true }, tabs), tabs, ["projectTallA"]);
+    console.assert(d.detail && d.tileId === "projectTallA", "Case study routes round-trip");
+    const a = parseRoute("#/articles/why-dbt-tests", tabs);
+    console.assert(a.page === "articles" && a.slug === "why-dbt-tests", "Article pages resolve their slug");
+    console.assert(parseRoute(pathToHash("/projects/projectTallA/"), tabs, ["projectTallA"]).tileId === "projectTallA", "Path routes parse like hashes");
+    console.assert(routeToPath({ tab: "About" }, tabs) === "/about/" && routeToPath({ tab: "All" }, tabs) === "/", "Routes map to prerender paths");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
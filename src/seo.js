@@ -0,0 +1,169 @@
+import { TILES, NAV, BRAND, PROFILE, PROJECTS, profileLinks } from "./tiles";
+import { ARTICLES, findArticle } from "./articles";
+import { parseRoute, pathToHash, routeToPath, titleForTab } from "./router";
+import { translator } from "./i18n";
+
+// -------------------------------------------------------------
+// Page metadata
+// - documentTitle(route, t) is shared by the live app and the prerenderer
+//   (which stays in English).
+// - headForPath(path, origin) describes one prerendered page: description,
+//   canonical URL, Open Graph / Twitter tags and schema.org JSON-LD
+//   (Person everywhere, CreativeWork for case studies, BlogPosting for articles).
+// - Canonical URLs use the path form of a route ("/projects/").
+// -------------------------------------------------------------
+
+const PERSON = PROFILE.name;
+const JOB_TITLE = PROFILE.jobTitle;
+const IMAGE = PROFILE.photo;
+const imageUrl = (origin) => (/^https?:/.test(IMAGE) ? IMAGE : origin + IMAGE);
+const DESCRIPTION = PROFILE.summary;
+
+// "Data engineering projects by …: A, B and C, with case studies." from the
+// shipped projects (tiled ones open a case study); null without any, so the
+// tab falls back to the profile summary
+export function projectsDescription(projects, person = PERSON) {
+  if (!projects.length) return null;
+  const titles = projects.slice(0, 3).map((p) => p.title);
+  const list = titles.length > 1 ? `${titles.slice(0, -1).join(", ")} and ${titles.at(-1)}` : titles[0];
+  const caseStudies = projects.some((p) => p.tile) ? ", with case studies" : "";
+  return `Data engineering projects by ${person}: ${list}${caseStudies}.`;
+}
+
+const TAB_DESCRIPTIONS = {
+  About: "About Sachin Sapkota: background, skills and where to find Sachin online.",
+  Projects: projectsDescription(PROJECTS),
+  Media: "Articles, newsletter and open-source work from Sachin Sapkota.",
+};
+
+const TILE_IDS = TILES.map((t) => t.id);
+const caseStudyTile = (route) => (route.detail ? TILES.find((t) => t.id === route.tileId && t.caseStudy) : null);
+const unique = (list) => [...new Set(list)];
+
+export function documentTitle(route, t = translator("en")) {
+  const brand = t("brand", null, BRAND);
+  const cs = caseStudyTile(route);
+  const article = route.page === "articles" && route.slug ? findArticle(route.slug) : null;
+  const title = cs ? cs.caseStudy.title : route.page === "articles" ? article?.title ?? t("page.articles") : route.page === "resume" ? t("page.resume") : null;
+  if (title) return `${title} · ${brand}`;
+  return titleForTab(route.tab && t(`nav.${route.tab}`, null, route.tab), brand, NAV.map((tab) => t(`nav.${tab}`, null, tab)));
+}
+
+// Every route worth a static page, in path form, with a sitemap lastmod
+export function prerenderRoutes() {
+  const newest = ARTICLES[0]?.date ?? null;
+  return [
+    ...NAV.map((tab) => ({ route: { tab } })),
+    ...TILES.filter((t) => t.caseStudy).map((t) => ({ route: { tab: NAV.includes(t.group) ? t.group : NAV[0], tileId: t.id, detail: true } })),
+    { route: { page: "resume" } },
+    { route: { page: "articles" }, lastmod: newest },
+    ...ARTICLES.map((a) => ({ route: { page: "articles", slug: a.slug }, lastmod: a.date })),
+  ].map(({ route, lastmod = null }) => ({ path: routeToPath(route, NAV), lastmod }));
+}
+
+function person(origin) {
+  return {
+    "@type": "Person",
+    "@id": `${origin}/#person`,
+    name: PERSON,
+    jobTitle: JOB_TITLE,
+    description: DESCRIPTION,
+    url: `${origin}/`,
+    image: imageUrl(origin),
+    sameAs: profileLinks(TILES).map((l) => l.href),
+    knowsAbout: unique([...TILES.flatMap((t) => t.skills || []), ...ARTICLES.flatMap((a) => a.skills)]),
+  };
+}
+
+export function headForPath(path, origin) {
+  const route = parseRoute(pathToHash(path), NAV, TILE_IDS);
+  const url = origin + routeToPath(route, NAV);
+  const author = { "@id": `${origin}/#person` };
+  const cs = caseStudyTile(route);
+  const article = route.page === "articles" && route.slug ? findArticle(route.slug) : null;
+  const head = {
+    title: documentTitle(route),
+    description: TAB_DESCRIPTIONS[route.tab] ?? DESCRIPTION,
+    url,
+    image: imageUrl(origin),
+    type: "website",
+    published: null,
+    jsonLd: [person(origin)],
+  };
+
+  if (cs) {
+    head.description = cs.caseStudy.problem || head.description;
+    head.type = "article";
+    head.jsonLd.push({
+      "@type": "CreativeWork",
+      name: cs.caseStudy.title,
+      description: head.description,
+      url,
+      author,
+      keywords: (cs.caseStudy.stack || []).join(", "),
+    });
+  } else if (article) {
+    head.description = article.summary || head.description;
+    head.type = "article";
+    head.published = article.date;
+    head.jsonLd.push({
+      "@type": "BlogPosting",
+      headline: article.title,
+      description: head.description,
+      datePublished: article.date,
+      url,
+      mainEntityOfPage: url,
+      author,
+      keywords: article.skills.join(", "),
+    });
+  } else if (route.page === "articles") {
+    head.description = `Articles by ${PERSON} on data engineering.`;
+  } else if (route.page === "resume") {
+    head.description = `Résumé of ${PERSON}, ${JOB_TITLE}: experience, selected projects and skills.`;
+    head.type = "profile";
+  }
+  return head;
+}
+
+const attr = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// The <head> tags for headForPath(); <title> included
+export function renderHead(head) {
+  const meta = [
+    ["name", "description", head.description],
+    ["property", "og:type", head.type],
+    ["property", "og:site_name", BRAND],
+    ["property", "og:title", head.title],
+    ["property", "og:description", head.description],
+    ["property", "og:url", head.url],
+    ["property", "og:image", head.image],
+    head.published && ["property", "article:published_time", head.published],
+    ["name", "twitter:card", "summary"],
+    ["name", "twitter:title", head.title],
+    ["name", "twitter:description", head.description],
+    ["name", "twitter:image", head.image],
+  ].filter(Boolean);
+  // "<" is escaped so a value can never close the script element
+  const jsonLd = JSON.stringify({ "@context": "https://schema.org", "@graph": head.jsonLd }).replace(/</g, "\\u003c");
+  return [
+    `<title>${attr(head.title)}</title>`,
+    ...meta.map(([key, name, content]) => `<meta ${key}="${name}" content="${attr(content)}" />`),
+    `<link rel="canonical" href="${attr(head.url)}" />`,
+    `<script type="application/ld+json">${jsonLd}</script>`,
+  ].join("\n    ");
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const paths = prerenderRoutes().map((r) => r.path);
+    console.assert(paths[0] === "/" && paths.includes("/projects/"), "Tabs are prerendered at their paths");
+    const head = headForPath("/about/", "https://example.com");
+    console.assert(head.url === "https://example.com/about/" && head.jsonLd[0]["@type"] === "Person", "Tab pages carry a canonical URL and Person");
+    console.assert(projectsDescription([]) === null && projectsDescription([{ title: "A" }, { title: "B" }], "X") === "Data engineering projects by X: A and B.", "The Projects description lists what ships");
+    console.assert(!renderHead({ ...head, title: "</script><b>" }).includes("</script><b>"), "Head values are escaped");
+    console.assert(documentTitle({ tab: "Projects" }) === `Projects · ${BRAND}` && documentTitle({ tab: "Projects" }, translator("es")).startsWith("Proyectos · "), "Titles follow the UI locale");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
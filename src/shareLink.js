@@ -0,0 +1,80 @@
+import { reconcileOrder } from "./layoutStorage";
+
+// -------------------------------------------------------------
+// Shareable layout links
+// - ?layout=<id~id~...>&tab=<NAV tab>&theme=<dark|light>
+// - Ids are joined with "~" (URL-safe, never used in tile ids).
+// - Decoding ignores unknown ids and appends tiles missing from the link.
+// -------------------------------------------------------------
+
+const SEP = "~";
+const PARAMS = ["layout", "tab", "theme"];
+
+export function buildLayoutLink({ order, active, theme }, href = window.location.href) {
+  const url = new URL(href);
+  url.searchParams.set("layout", order.map((t) => t.id).join(SEP));
+  if (active && active !== "All") url.searchParams.set("tab", active.toLowerCase());
+  else url.searchParams.delete("tab");
+  if (theme) url.searchParams.set("theme", theme);
+  else url.searchParams.delete("theme");
+  return url.toString();
+}
+
+// Returns { order, active, theme } with null for anything not in the link,
+// or null when the link carries no layout params at all.
+export function parseLayoutLink(search, tiles, tabs) {
+  const params = new URLSearchParams(search);
+  if (!PARAMS.some((p) => params.has(p))) return null;
+  const ids = (params.get("layout") || "").split(SEP).filter(Boolean);
+  const tab = (params.get("tab") || "").toLowerCase();
+  const theme = params.get("theme");
+  return {
+    order: ids.length ? reconcileOrder(ids, tiles) : null,
+    active: tabs.find((t) => t.toLowerCase() === tab) ?? null,
+    theme: theme === "dark" || theme === "light" ? theme : null,
+  };
+}
+
+// Remove the layout params once applied so later edits aren't shadowed by the link
+export function stripLayoutParams() {
+  try {
+    const url = new URL(window.location.href);
+    PARAMS.forEach((p) => url.searchParams.delete(p));
+    window.history.replaceState(window.history.state, "", url.toString());
+  } catch {
+    // history unavailable (sandboxed iframe): leave the URL alone
+  }
+}
+
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  ta.setAttribute("readonly", "");
+  ta.style.position = "fixed";
+  ta.style.opacity = "0";
+  document.body.appendChild(ta);
+  ta.select();
+  try {
+    if (!document.execCommand("copy")) throw new Error("copy command rejected");
+  } finally {
+    ta.remove();
+  }
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const tiles = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const tabs = ["All", "Projects"];
+    const v = parseLayoutLink("?layout=b~nope~a&tab=projects&theme=light", tiles, tabs);
+    console.assert(v.order.map((t) => t.id).join(",") === "b,a,c", "Link order ignores unknown ids and appends missing ones");
+    console.assert(v.active === "Projects" && v.theme === "light", "Link restores tab and theme");
+    console.assert(parseLayoutLink("?foo=1", tiles, tabs) === null, "Links without layout params are ignored");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,100 @@
+// -------------------------------------------------------------
+// Tile tags
+// - Tiles carry `skills`, `domains` and `years` lists (tiles.js or Markdown
+//   frontmatter); each value becomes a tag key "<kind>:<value>".
+// - A selection matches with "any" (OR) or "all" (AND); an empty selection
+//   matches everything.
+// - Filters live in the query string: ?tags=skill:Python,domain:Streaming&match=all
+//   ("any" is the default and left out).
+// -------------------------------------------------------------
+
+export const TAG_KINDS = [
+  { kind: "skill", field: "skills", label: "Skills" },
+  { kind: "domain", field: "domains", label: "Domains" },
+  { kind: "year", field: "years", label: "Years" },
+];
+export const MATCH_MODES = ["any", "all"];
+const SEP = ",";
+
+export const tagKey = (kind, value) => `${kind}:${value}`;
+
+export function tagLabel(key) {
+  return key.slice(key.indexOf(":") + 1);
+}
+
+export function tileTags(tile) {
+  return TAG_KINDS.flatMap(({ kind, field }) => (Array.isArray(tile[field]) ? tile[field] : []).map((v) => tagKey(kind, v)));
+}
+
+// Every tag in use, grouped by kind: [{ kind, label, tags: [{ key, value, count }] }]
+// Skills and domains by popularity, years newest first.
+export function collectTags(tiles) {
+  return TAG_KINDS.map(({ kind, field, label }) => {
+    const counts = new Map();
+    for (const t of tiles) for (const v of Array.isArray(t[field]) ? t[field] : []) counts.set(v, (counts.get(v) || 0) + 1);
+    const tags = [...counts].map(([value, count]) => ({ key: tagKey(kind, value), value, count }));
+    tags.sort(kind === "year" ? (a, b) => b.value - a.value : (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    return { kind, label, tags };
+  }).filter((g) => g.tags.length);
+}
+
+export function matchesTags(tile, selected, mode = "any") {
+  if (!selected.length) return true;
+  const own = new Set(tileTags(tile));
+  return mode === "all" ? selected.every((k) => own.has(k)) : selected.some((k) => own.has(k));
+}
+
+// Stable partition: matching tiles first, order kept otherwise
+export function promoteMatches(list, selected, mode) {
+  if (!selected.length) return list;
+  const yes = [];
+  const no = [];
+  for (const t of list) (matchesTags(t, selected, mode) ? yes : no).push(t);
+  return [...yes, ...no];
+}
+
+export function toggleTag(selected, key) {
+  return selected.includes(key) ? selected.filter((k) => k !== key) : [...selected, key];
+}
+
+// Unknown tags are dropped so stale links don't dim the whole grid
+export function parseTagParams(search, known) {
+  const params = new URLSearchParams(search);
+  const knownKeys = new Set(known);
+  const tags = (params.get("tags") || "").split(SEP).filter((k) => knownKeys.has(k));
+  const match = params.get("match");
+  return { tags: [...new Set(tags)], match: MATCH_MODES.includes(match) ? match : "any" };
+}
+
+// Rewrites ?tags / ?match in place (no history entry), keeping path and hash
+export function writeTagParams(tags, match) {
+  try {
+    const url = new URL(window.location.href);
+    if (tags.length) url.searchParams.set("tags", tags.join(SEP));
+    else url.searchParams.delete("tags");
+    if (tags.length && match !== "any") url.searchParams.set("match", match);
+    else url.searchParams.delete("match");
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url.toString());
+  } catch {
+    // history unavailable (sandboxed iframe): the filter still works, just not in the URL
+  }
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    const a = { id: "a", skills: ["Python", "SQL"], years: [2024] };
+    const b = { id: "b", skills: ["Python"], domains: ["Streaming"] };
+    const c = { id: "c" };
+    console.assert(matchesTags(a, ["skill:Python", "skill:SQL"], "all") && !matchesTags(b, ["skill:Python", "skill:SQL"], "all"), "AND needs every tag");
+    console.assert(matchesTags(b, ["skill:SQL", "domain:Streaming"], "any"), "OR needs one tag");
+    console.assert(promoteMatches([c, b, a], ["skill:SQL"], "any").map((t) => t.id).join() === "a,c,b", "Matches move up, order kept");
+    const groups = collectTags([a, b, c]);
+    console.assert(groups[0].tags[0].key === "skill:Python" && groups.length === 3, "Tags are collected per kind");
+    const p = parseTagParams("?tags=skill:Python,skill:Nope&match=all", ["skill:Python"]);
+    console.assert(p.tags.join() === "skill:Python" && p.match === "all", "URL filters drop unknown tags");
+    console.assert(toggleTag(toggleTag([], "x"), "x").length === 0, "toggleTag adds and removes");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,164 @@
+import { useCallback, useLayoutEffect, useState } from "react";
+
+// -------------------------------------------------------------
+// Theme system
+// - Modes: "light", "dark" or "system" (follows prefers-color-scheme).
+// - A mode resolves to a palette in THEMES; components read colours from
+//   its tokens instead of hardcoding hex values. Add a palette here (and a
+//   .dark-style class in index.css if it needs Tailwind variants) to add a theme.
+// - The mode is stored under THEME_KEY. The inline boot script in index.html
+//   reads the same key and applies the class before first paint, so keep
+//   the two in sync.
+// -------------------------------------------------------------
+
+export const THEME_MODES = ["light", "dark", "system"];
+export const THEME_KEY = "portfolio:theme";
+const QUERY = "(prefers-color-scheme: dark)";
+
+// Accents shared by both palettes (skill planets, chart series)
+const SERIES = ["#facc15", "#60a5fa", "#22d3ee", "#34d399", "#f59e0b", "#38bdf8", "#a78bfa", "#f472b6", "#4ade80"];
+
+export const THEMES = {
+  light: {
+    scheme: "light",
+    page: "#faf7f6",
+    text: "#111111",
+    textSoft: "#111111",
+    icon: "#000000",
+    logo: null, // solid text colour
+    grid: "rgba(17,17,17,0.06)",
+    axis: "rgba(17,17,17,0.18)",
+    orbit: "rgba(17,17,17,0.22)",
+    pipe: "rgba(17,17,17,0.28)",
+    node: "rgba(148,163,184,0.15)",
+    edge: "rgba(17,17,17,0.35)",
+    wash: "rgba(17,17,17,0.04)",
+    halo: "rgba(255,255,255,0.7)",
+    sky: "#60a5fa",
+    cyan: "#22d3ee",
+    azure: "#38bdf8",
+    amber: "#facc15",
+    orange: "#f59e0b",
+    rings: ["#60a5fa", "#38bdf8", "#f59e0b"],
+    ringOpacity: 0.18,
+    glowOpacity: 0.12,
+    sunCore: "#facc15",
+    sunHalo: "#f59e0b",
+    sunRim: "#ffffff",
+    sunText: "#111111",
+    series: SERIES,
+    switchTrack: "#eef2ff",
+    switchKnob: "#ffffff",
+    dragShadow: "0 28px 64px rgba(0,0,0,.2)",
+  },
+  dark: {
+    scheme: "dark",
+    page: "#0b0d12",
+    text: "#ffffff",
+    textSoft: "#e5e7eb",
+    icon: "#ffffff",
+    logo: "linear-gradient(90deg, #ffffff, #d1d5db)",
+    grid: "rgba(255,255,255,0.06)",
+    axis: "rgba(255,255,255,0.18)",
+    orbit: "rgba(255,255,255,0.22)",
+    pipe: "rgba(255,255,255,0.28)",
+    node: "rgba(148,163,184,0.15)",
+    edge: "rgba(255,255,255,0.35)",
+    wash: "rgba(255,255,255,0.06)",
+    halo: "rgba(0,0,0,0.35)",
+    sky: "#60a5fa",
+    cyan: "#22d3ee",
+    azure: "#38bdf8",
+    amber: "#facc15",
+    orange: "#f59e0b",
+    rings: ["#60a5fa", "#22d3ee", "#facc15"],
+    ringOpacity: 0.28,
+    glowOpacity: 0.18,
+    sunCore: "#fde68a",
+    sunHalo: "#fcd34d",
+    sunRim: "#000000",
+    sunText: "#0b0d12",
+    series: SERIES,
+    switchTrack: "#111827",
+    switchKnob: "#374151",
+    dragShadow: "0 28px 64px rgba(0,0,0,.6)",
+  },
+};
+
+export function resolveTheme(mode, prefersDark) {
+  if (THEMES[mode]) return mode;
+  return prefersDark ? "dark" : "light";
+}
+
+export function loadThemeMode() {
+  try {
+    const mode = window.localStorage.getItem(THEME_KEY);
+    return THEME_MODES.includes(mode) ? mode : "system";
+  } catch {
+    return "system"; // storage disabled
+  }
+}
+
+export function saveThemeMode(mode) {
+  try {
+    if (mode === "system") window.localStorage.removeItem(THEME_KEY);
+    else window.localStorage.setItem(THEME_KEY, mode);
+  } catch {
+    // persistence is best-effort
+  }
+}
+
+// Same effect as the boot script: Tailwind `dark:` class, data-theme and
+// the native color-scheme (form controls, scrollbars)
+export function applyTheme(name) {
+  const root = document.documentElement;
+  const scheme = THEMES[name]?.scheme ?? "light";
+  root.classList.toggle("dark", scheme === "dark");
+  root.dataset.theme = name;
+  root.style.colorScheme = scheme;
+}
+
+// { mode, setMode, theme, tokens }. The first render uses the dark palette
+// (what prerendered pages ship); the stored mode and the OS preference are
+// read before paint, and "system" follows OS changes live. setMode(next,
+// { persist: false }) applies a mode for this visit only; it keeps its
+// identity across renders.
+export function useTheme() {
+  const [mode, setModeState] = useState(null); // null until read from storage
+  const [prefersDark, setPrefersDark] = useState(true);
+
+  useLayoutEffect(() => {
+    setModeState(loadThemeMode());
+    const mq = window.matchMedia?.(QUERY);
+    if (!mq) return;
+    setPrefersDark(mq.matches);
+    const onChange = (e) => setPrefersDark(e.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+
+  const theme = resolveTheme(mode ?? "system", prefersDark);
+  useLayoutEffect(() => {
+    if (mode) applyTheme(theme); // the boot script covers the very first paint
+  }, [mode, theme]);
+
+  const setMode = useCallback((next, { persist = true } = {}) => {
+    if (!THEME_MODES.includes(next)) return;
+    setModeState(next);
+    if (persist) saveThemeMode(next);
+  }, []);
+
+  return { mode: mode ?? "system", setMode, theme, tokens: THEMES[theme] };
+}
+
+// ------------------------------- Runtime Tests -------------------------------
+(function runTests() {
+  try {
+    console.assert(resolveTheme("light", true) === "light", "Explicit modes ignore the OS preference");
+    console.assert(resolveTheme("system", true) === "dark" && resolveTheme("system", false) === "light", "System mode follows the OS preference");
+    const keys = Object.keys(THEMES.light).sort().join();
+    console.assert(Object.values(THEMES).every((t) => Object.keys(t).sort().join() === keys), "Every palette defines the same tokens");
+  } catch (e) {
+    console.warn("Runtime tests error:", e);
+  }
+})();
@@ -0,0 +1,17 @@
+// Tile `type` names that have a renderer (TILE_TYPES in PortfolioGrid.jsx).
+// Plain data so the build-time content pipeline can reject a misspelt
+// `tile:` in Markdown frontmatter; keep the two in sync.
+export const TILE_TYPE_NAMES = [
+  "about",
+  "social",
+  "github",
+  "projectArtA",
+  "projectArtB",
+  "projectRings",
+  "techSolarSystem",
+  "themeSwitcher",
+  "newsletter",
+  "contact",
+  "articles",
+  "placeholder",
+];
@@ -0,0 +1,244 @@
+// -------------------------------------------------------------
+// Tile content config
+// - Every grid tile is declared here; PortfolioGrid never hardcodes them.
+// - `type` picks the renderer from TILE_TYPES in PortfolioGrid.jsx.
+// - `props` are passed straight to that renderer.
+// - `span` holds the Tailwind col/row span classes, `group` the NAV tab.
+// - Optional `minSpan` / `maxSpan` ({ w, h } in cells) bound user resizing.
+// - Optional `caseStudy` opens the project detail view (CaseStudy.jsx).
+// - Optional `skills`, `domains` and `years` lists are the tile's tags
+//   (tags.js); the filter bar matches and promotes tiles by them.
+// - Tiles can also be written as Markdown (content/<collection>/*.md,
+//   see scripts/contentPlugin.js) and spread in with contentTiles().
+// - content/resume.json (JSON Resume, scripts/jsonResumePlugin.js), when
+//   present, overrides PROFILE, SKILLS and the social links and adds its
+//   projects and work history.
+// -------------------------------------------------------------
+
+import content from "virtual:content";
+import github from "virtual:github";
+import resume from "virtual:json-resume";
+
+// NAV tabs (the first one shows everything) and the brand used in page titles
+export const NAV = ["All", "About", "Projects", "Media"];
+export const BRAND = "Sachin Sapkota — Data Engineer";
+
+// Who the site is about: the About tile, the résumé (resume.js) and page
+// metadata (seo.js) all read this
+export const PROFILE = {
+  name: "Sachin Sapkota",
+  greeting: "sachin",
+  jobTitle: "Data Engineer",
+  tagline: "a data engineer & analyst helping turn your data into decisions.",
+  summary: "Sachin Sapkota is a data engineer and analyst who builds pipelines, warehouses and dashboards that turn data into decisions.",
+  photo: "/sachin.jpg",
+  ...resume?.profile,
+};
+
+// Skills orbiting in the solar system tile; `level` and `years` show in the
+// planet tooltips. Their names double as the skills tile's tags, so clicking
+// a planet highlights the projects tagged with it (and this tile).
+const DEFAULT_SKILLS = [
+  { name: "Python", level: "Expert", years: 6 },
+  { name: "SQL", level: "Expert", years: 6 },
+  { name: "Airflow", level: "Advanced", years: 4 },
+  { name: "dbt", level: "Advanced", years: 3 },
+  { name: "Spark", level: "Advanced", years: 4 },
+  { name: "BigQuery", level: "Advanced", years: 3 },
+  { name: "Kafka", level: "Intermediate", years: 2 },
+  { name: "Terraform", level: "Intermediate", years: 2 },
+  { name: "Docker", level: "Advanced", years: 4 },
+];
+export const SKILLS = resume?.skills.length ? resume.skills : DEFAULT_SKILLS;
+
+// resume.json projects and roles fill in around the Markdown ones; on a
+// clash the Markdown entry wins (it carries the tile art and case study)
+function mergeEntries(markdown = [], imported = [], key) {
+  const taken = new Set(markdown.map(key));
+  return [...markdown, ...imported.filter((e) => !taken.has(key(e)))];
+}
+export const PROJECTS = mergeEntries(content.projects, resume?.projects, (e) => e.title.toLowerCase());
+export const EXPERIENCE = mergeEntries(content.experience, resume?.experience, (e) => `${e.company}|${e.title}`.toLowerCase());
+
+const DEFAULT_SPAN = "col-span-6 md:col-span-3 row-span-2";
+
+// Markdown entries with a `tile` type -> tile configs. With { caseStudy: true }
+// the frontmatter and rendered body also feed the project detail view.
+export function contentTiles(entries = [], { caseStudy = false } = {}) {
+  return entries.filter((e) => e.tile).map((e) => ({
+    id: e.id,
+    type: e.tile,
+    group: e.group,
+    span: e.span || DEFAULT_SPAN,
+    label: e.label || e.title,
+    skills: e.skills,
+    domains: e.domains || [],
+    // explicit `years`, else the year of `date`
+    years: e.years || (e.date ? [Number(e.date.slice(0, 4))] : []),
+    // data-backed tile art: `chart` (DataChart), `dag` (PipelineDiagram)
+    props: { ...(e.chart && { chart: e.chart }), ...(e.dag && { dag: e.dag }) },
+    ...(caseStudy && {
+      caseStudy: {
+        title: e.title,
+        problem: e.problem,
+        stack: e.skills,
+        architecture: e.architecture,
+        metrics: e.metrics,
+        links: e.links,
+        html: e.html,
+      },
+    }),
+  }));
+}
+
+export const TILES = [
+  {
+    id: "about",
+    type: "about",
+    group: "About",
+    span: "col-span-full md:col-span-6 row-span-2",
+    minSpan: { w: 4, h: 2 },
+    label: "About",
+    props: { name: PROFILE.greeting, tagline: PROFILE.tagline, photo: PROFILE.photo },
+    bg: "from-fuchsia-200 to-rose-100 dark:from-fuchsia-900/40 dark:to-rose-900/30",
+  },
+  {
+    id: "newsletter",
+    type: "newsletter",
+    group: "Media",
+    span: "col-span-full md:col-span-6 row-span-2",
+    label: "Newsletter",
+    // Provider adapter (src/newsletter.js): webhook | buttondown | mailchimp.
+    // Set VITE_NEWSLETTER_PROVIDER plus VITE_NEWSLETTER_URL or VITE_NEWSLETTER_USERNAME;
+    // dev falls back to the mock, production builds without one disable the form.
+    props: {
+      provider: import.meta.env.VITE_NEWSLETTER_PROVIDER || (import.meta.env.DEV ? "mock" : undefined),
+      options: {
+        url: import.meta.env.VITE_NEWSLETTER_URL,
+        username: import.meta.env.VITE_NEWSLETTER_USERNAME,
+      },
+    },
+    bg: "from-amber-200 to-yellow-100 dark:from-amber-900/40 dark:to-yellow-900/30",
+  },
+  {
+    id: "contact",
+    type: "contact",
+    group: "About",
+    span: "col-span-full md:col-span-6 row-span-3",
+    minSpan: { w: 4, h: 3 },
+    label: "Contact",
+    // Handler (src/contact.js): endpoint | mailto. VITE_CONTACT_URL is the
+    // deployed functions/contact.js (dev defaults to `npm run contact:stub`);
+    // VITE_CONTACT_EMAIL enables the mailto fallback. Production builds with
+    // neither disable the form.
+    props: {
+      provider: import.meta.env.VITE_CONTACT_PROVIDER ||
+        (import.meta.env.DEV || import.meta.env.VITE_CONTACT_URL || import.meta.env.VITE_CONTACT_EMAIL ? "endpoint" : undefined),
+      options: {
+        url: import.meta.env.VITE_CONTACT_URL || (import.meta.env.DEV ? "http://localhost:8787/contact" : undefined),
+        to: import.meta.env.VITE_CONTACT_EMAIL,
+      },
+    },
+    bg: "from-emerald-200 to-teal-100 dark:from-emerald-900/40 dark:to-teal-900/30",
+  },
+  {
+    id: "article",
+    type: "articles",
+    group: "Media",
+    span: "col-span-full md:col-span-6 row-span-2",
+    label: "Articles",
+    bg: "from-sky-200 to-blue-100 dark:from-sky-900/40 dark:to-blue-900/30",
+  },
+  {
+    id: "skills",
+    type: "techSolarSystem",
+    group: "About",
+    span: "col-span-full md:col-span-6 row-span-2",
+    label: "Skills",
+    skills: SKILLS.map((s) => s.name),
+    props: { skills: SKILLS, center: PROFILE.jobTitle },
+    bg: "from-sky-200 to-blue-100 dark:from-sky-900/40 dark:to-blue-900/30",
+  },
+  // Project tiles come from content/projects/*.md (and resume.json)
+  ...contentTiles(PROJECTS, { caseStudy: true }),
+  // Social tiles with icons + links
+  // GitHub activity from the build-time snapshot (scripts/fetchGithub.js);
+  // without one it's a plain icon card like the others
+  {
+    id: "github",
+    type: "github",
+    group: "Media",
+    span: github ? "col-span-full md:col-span-6 row-span-3" : "col-span-6 md:col-span-3 row-span-2",
+    ...(github ? { minSpan: { w: 4, h: 3 } } : { maxSpan: { w: 6, h: 4 } }),
+    label: "GitHub",
+    props: { icon: "github", href: resume?.links.github || "https://github.com/Mercyenary", activity: github },
+    bg: "from-lime-200 to-green-100 dark:from-lime-900/40 dark:to-green-900/30",
+  },
+  {
+    id: "instagram",
+    type: "social",
+    group: "About",
+    span: "col-span-6 md:col-span-3 row-span-2",
+    maxSpan: { w: 6, h: 4 },
+    label: "Instagram",
+    props: { icon: "instagram", href: resume?.links.instagram || "https://www.instagram.com/saw_ch_ien" },
+    bg: "from-cyan-200 to-sky-100 dark:from-cyan-900/40 dark:to-sky-900/30",
+  },
+  {
+    id: "linkedin",
+    type: "social",
+    group: "About",
+    span: "col-span-6 md:col-span-3 row-span-2",
+    maxSpan: { w: 6, h: 4 },
+    label: "LinkedIn",
+    props: { icon: "linkedin", href: resume?.links.linkedin || "https://www.linkedin.com/in/mercyenary/" },
+    bg: "from-purple-200 to-fuchsia-100 dark:from-purple-900/40 dark:to-fuchsia-900/30",
+  },
+  {
+    id: "themeCard",
+    type: "themeSwitcher",
+    group: "Utility",
+    span: "col-span-6 md:col-span-3 row-span-2",
+    minSpan: { w: 2, h: 2 },
+    label: "Theme",
+    bg: "from-zinc-50 to-zinc-100 dark:from-white/[.06] dark:to-white/[.04]",
+  },
+];
+
+// Preset orders so each tab pops the intended tiles to the top row(s)
+export const PRESETS = {
+  About: ["about", "contact", "linkedin", "instagram"],
+  // the first three project tiles (content `order`, then newest)
+  Projects: PROJECTS.filter((e) => e.tile).slice(0, 3).map((e) => e.id),
+  Media: ["article", "newsletter", "github"],
+};
+
+// Profile links (social and GitHub tiles) for the command palette and JSON-LD
+export function profileLinks(tiles) {
+  return tiles
+    .filter((t) => (t.type === "social" || t.type === "github") && t.props?.href)
+    .map((t) => ({ id: t.id, label: t.label, href: t.props.href }));
+}
+
+// Normalize the config: numbered, de-duplicated, `props` always an object.
+// Unknown types are kept (the grid falls back to a placeholder) but reported.
+export function normalizeTiles(tiles, knownTypes = null) {
+  const seen = new Set();
+  const out = [];
+  for (const tile of tiles) {
+    if (!tile || typeof tile.id !== "string" || !tile.id) {
+      console.warn("tiles: skipping tile without an id", tile);
+      continue;
+    }
+    if (seen.has(tile.id)) {
+      console.warn(`tiles: duplicate id "${tile.id}" ignored`);
+      continue;
+    }
+    if (knownTypes && !knownTypes.includes(tile.type)) {
+      console.warn(`tiles: unknown type "${tile.type}" for "${tile.id}", rendering a placeholder`);
+    }
+    seen.add(tile.id);
+    out.push({ ...tile, num: out.length + 1, props: tile.props || {} });
+  }
+  return out;
+}
@@ -0,0 +1,13 @@
+import { useEffect } from "react";
+
+// Grid tiles start a framer-motion drag on pointerdown. Forms and controls
+// inside a tile stop the native event so typing or selecting never drags it.
+export function useNoTileDrag(ref) {
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const stop = (e) => e.stopPropagation();
+    el.addEventListener("pointerdown", stop);
+    return () => el.removeEventListener("pointerdown", stop);
+  }, [ref]);
+}
@@ -1,7 +1,11 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import content from './scripts/contentPlugin.js'
+import feeds from './scripts/feedsPlugin.js'
+import github from './scripts/githubPlugin.js'
+import jsonResume from './scripts/jsonResumePlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), content(), feeds(), github(), jsonResume()],
 })